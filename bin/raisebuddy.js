@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+/**
+ * raisebuddy command-line entry point (see src/cli.js).
+ */
+process.exitCode = require("../src/cli").run(process.argv.slice(2));
@@ -11,12 +11,80 @@
  *      - Yearly (full-time)    [from full-time +500 source]
  *      - Yearly (part-time)    [from part-time +500 source]
  *      - Raise %               [from percent increments source]
+ *  - Format amounts with Intl.NumberFormat (src/formatMoney.js) in the optional `#locale`
  *  - Hide / show the "Yearly (part-time)" column using Bootstrap's `d-none` utility
+ *    (part-time comes from days per week, contract hours or a decimal FTE)
+ *  - Show net columns (`.net-col`) when a tax country is selected in the optional `#taxCountry`
+ *  - Show target bonus and total target compensation (`.comp-col`) from the optional
+ *    `#bonusPct`, `#bonusAmount`, `#allowances` and `#raiseAppliesTo` inputs
+ *  - Overlay a pay band loaded from a JSON file (`#bandsFile`) or pasted (`#bandsText`):
+ *    the grade picked in `#grade` adds compa-ratio columns (`.band-col`), flags rows
+ *    outside the band and inserts min/mid/max separator rows
+ *  - Group rows below / within / above the recommended raise range (`#meritMin`-`#meritMax`),
+ *    filled from a merit matrix (built-in or pasted in `#meritMatrix`) for the rating picked
+ *    in `#meritRating` and today's position in the pay band
+ *  - Show the employer's total cost (`.employer-col`) for the preset picked in the optional
+ *    `#employerCost` select, or for custom percentages when it is set to "custom"
+ *  - Divide monthly figures by the optional `#paymentsPerYear` (12/13/14) and show the
+ *    extra (13th/14th) payments column (`.extra-col`) when there are more than 12
+ *  - Insert and highlight the goal-seek row ("GOAL") solved from the optional
+ *    `#targetType` / `#targetValue` inputs (the current row when it already reaches it)
+ *  - Show hourly/daily rate columns (`.rate-col`) when the optional `#showRates` is checked
+ *  - Show pro-rated payouts (`.payout-col`: this calendar year, next 12 months) for a raise
+ *    starting on the optional `#effectiveDate`, by month or day (`#proration`); the 12 months
+ *    start on the optional `#asOf` date, today when it is empty
+ *  - Break down the retroactive back pay of the last highlighted row by month into the
+ *    optional `#backPay` table (`#backPayFrom` effective date, `#backPayDate` payment date)
+ *  - Fall back to the default ladder when `#incrementAmount`, `#percentStep` or
+ *    `#percentSteps` is outside the accepted range (src/limits.js), with a danger alert in
+ *    the optional `#alert-container`
+ *  - Show every amount converted into the optional `#secondaryCurrency` at the `#fxRate`
+ *    rate, prefilled from an offline rate table (src/exchangeRates.js) that users can
+ *    replace with their own JSON file through `#ratesFile`
+ *  - Render a multi-year projection of a yearly raise (`#projectionPct`, `#projectionYears`)
+ *    into the optional `#projection` table; clicking a ladder row picks its raise %
  *  - Always display the monthly difference column
  *
  * Notes:
  *  - This file is intentionally a plain script (no ES module export). It auto-initializes
- *    on DOM ready and exposes `window.RaiseCalculator` and `window.raiseCalculatorInstance`.
+ *    on DOM ready when the page has a `#results` table and exposes `window.RaiseCalculator`
+ *    and `window.raiseCalculatorInstance`.
+ *  - Embedding (see js/raiseBuddyElement.js): `root` resolves the selectors inside another
+ *    node (e.g. a shadow root) and `urlState: false` keeps the instance away from the page
+ *    URL and history.
+ *  - Events: CustomEvents dispatched on `eventTarget` (default: `root`, i.e. the document)
+ *    that bubble and cross shadow DOM boundaries:
+ *      raisebuddy:render       { rows, currency }  after every render
+ *      raisebuddy:highlight    { keys }            highlighted row keys after a click or reset
+ *      raisebuddy:inputchange  { field, value }    an input changed (field: option name,
+ *                                                  e.g. "fullTime"), before the re-render
+ *  - Hooks (constructor options), for extra columns or badges without subclassing:
+ *      transformRows(rows, { currency, config })   rows to render instead (e.g. with extra
+ *                                                  fields); events and back pay see them too
+ *      formatCell(cell, { row, column, index, currency })
+ *                                                  replacement cell ({ text } or { html },
+ *                                                  optional className); `column` is the row
+ *                                                  field shown (RaiseCalculator.COLUMNS), or
+ *                                                  for headers added after the built-in ones
+ *                                                  (passed an empty cell) the header's
+ *                                                  `data-column` or text
+ *      onRowClick(row, { key, highlighted, event })
+ *                                                  called before the row is (un)highlighted;
+ *                                                  returning false skips that
+ *    Returning undefined from transformRows or formatCell keeps the original.
+ *  - Several instances on one page (e.g. "current role" vs "promotion"): give each its own
+ *    container as `root` and its own `urlKey`. Such an instance keeps its highlighted rows
+ *    and the inputs of RaiseCalculator.URL_FIELDS in the URL itself, every parameter
+ *    prefixed with `<urlKey>-` (`promotion-salary`, `promotion-highlights`, ...); without a
+ *    `urlKey` only `highlights` is written and the page (index.html) keeps the rest.
+ *    Containers marked with `data-raisebuddy="<urlKey>"` are mounted automatically
+ *    (`window.raiseCalculatorInstances`), each on its own.
+ *  - A default `#id` selector also matches `data-rb-id="id"`, so repeated containers mark
+ *    their elements with `data-rb-id` instead of repeating ids.
+ *  - Selectors: the required inputs (`currency`, `fullTime`, `days`, `results`) and the
+ *    `copyLink`, `resetHighlights` and `alert` controls are options of their own; the
+ *    optional inputs come in one option per feature (RaiseCalculator.FEATURES), e.g.
+ *    `{ merit: { meritMin: "#low", meritMax: "#high" } }`, the others keeping their default.
  */
 
 class RaiseCalculator {
@@ -26,22 +94,78 @@ class RaiseCalculator {
       fullTime = "#fullTimeYear",
       days = "#days",
       results = "#results",
+      copyLink = "#copyLink",
+      resetHighlights = "#resetHighlights",
+      alert = "#alert-container",
+      root = null,
+      urlState = true,
+      urlKey = "",
+      eventTarget = null,
+      transformRows = null,
+      formatCell = null,
+      onRowClick = null,
       config = {},
     } = opts;
 
+    // node the selectors are resolved in (the document unless embedded)
+    this._root = root || document;
+
+    // read and write the `highlights` URL parameter
+    this._urlState = urlState !== false;
+
+    // prefix of this instance's URL parameters; instances sharing a page use
+    // their own (e.g. "promotion" -> `promotion-salary`, `promotion-highlights`)
+    this._urlKey = urlKey;
+
+    // node receiving the raisebuddy:* events (see _emit)
+    this._eventTarget = eventTarget || this._root;
+
+    // integration hooks (see the notes at the top of this file)
+    this._hooks = { transformRows, formatCell, onRowClick };
+
     this._els = {
       currency: this._resolveEl(currency),
       fullTime: this._resolveEl(fullTime),
       days: this._resolveEl(days),
       results: this._resolveEl(results),
+      copyLink: this._resolveEl(copyLink),
+      resetHighlights: this._resolveEl(resetHighlights),
+      alert: this._resolveEl(alert),
     };
+    // optional inputs, per feature (not required by _ensureElements); a feature
+    // option replaces some of its default selectors (see RaiseCalculator.FEATURES)
+    Object.entries(RaiseCalculator.FEATURES).forEach(([feature, defaults]) => {
+      const selectors = opts[feature] || {};
+      Object.keys(defaults).forEach((key) => {
+        this._els[key] = this._resolveEl(
+          key in selectors ? selectors[key] : defaults[key],
+        );
+      });
+    });
+
+    // formatting module, resolved lazily by _resolveFormatter
+    this._formatter = null;
+
+    // exchange-rate table used to prefill `#fxRate`; the bundled one until a file is loaded
+    this._rateTable = null;
+
+    // pay bands loaded through `#bandsFile` / `#bandsText` (see src/payBands.js)
+    this._bands = null;
+
+    // merit matrix pasted in `#meritMatrix`; the built-in one when null
+    this._meritMatrix = null;
 
     this._cfg = Object.assign(
       {
-        INCREMENT_AMOUNT: 500,
+        // INCREMENT_AMOUNT is left unset so the currency default applies
         INCREMENT_STEPS: 10,
         PERCENT_STEP: 0.5 / 100,
         PERCENT_STEPS: 20,
+        PAYMENTS_PER_YEAR: 12,
+        INCLUDE_RATES: false,
+        HOURS_PER_WEEK: 40,
+        PAID_WEEKS_PER_YEAR: 52,
+        PRORATION: "month",
       },
       config,
     );
@@ -52,9 +176,15 @@ class RaiseCalculator {
     // Set of highlighted row keys (strings)
     this._highlighted = new Set();
 
+    // Rows and display options of the last render, reused by _renderBackPay
+    this._lastRender = null;
+
     // Reference to the optional "Reset highlighted rows" button
     this._resetBtn = null;
 
+    // Alert shown for out-of-range ladder inputs (see _readConfig)
+    this._ladderAlert = null;
+
     // Bind instance methods
     this._onInput = this._onInput.bind(this);
     this._onRowClick = this._onRowClick.bind(this);
@@ -65,6 +195,7 @@ class RaiseCalculator {
 
   init() {
     this._ensureElements();
+    this._restoreFieldsFromUrl();
     this._bindEvents();
     this._computePartColumnIndex();
     this.render();
@@ -76,53 +207,87 @@ class RaiseCalculator {
     const currency = this._els.currency.value || "EUR";
     const baseFull = Math.max(0, Number(this._els.fullTime.value) || 0);
     const days = Number(this._els.days.value) || 5;
-    const partRatio = days / 5;
-    const basePart = baseFull * partRatio;
-    const baseMonthly = basePart / 12;
+
+    // Build candidates via the pure logic module (delegated)
+    const {
+      buildRows: buildRowsFn,
+      buildProjection,
+      buildBackPay,
+      helpers,
+    } = this._resolveLogic();
+    const config = this._readConfig(baseFull, currency, helpers);
+
+    const taxCountry = this._els.taxCountry ? this._els.taxCountry.value : "";
+    const effectiveDate = this._els.effectiveDate
+      ? this._els.effectiveDate.value
+      : "";
+
+    const partTime = this._readPartTime(days);
 
     // Hide/show part-time column using Bootstrap `d-none`
-    const hidePart = days === 5;
+    const hidePart = helpers.resolvePartRatio(partTime) >= 1;
     this._togglePartColumn(hidePart);
 
-    // Build candidates via the pure logic module (delegated)
-    // Try to resolve a buildRows function from the environment (window) or via require()
-    let buildRowsFn = null;
-    try {
-      if (typeof window !== "undefined" && window.buildRows)
-        buildRowsFn = window.buildRows;
-    } catch (err) {
-      /* ignore */
-    }
-    try {
-      if (!buildRowsFn && typeof require === "function") {
-        // Import the pure logic from src for Node/test environments
-        // The module exports the function as module.exports (and also as buildRows)
-        const maybe = require("../src/buildRows");
-        buildRowsFn =
-          typeof maybe === "function"
-            ? maybe
-            : maybe && maybe.buildRows
-              ? maybe.buildRows
-              : null;
-      }
-    } catch (err) {
-      /* ignore */
+    // No ladder when even the default one would be too large (see _readConfig)
+    if (!config) {
+      this._clearRows();
+      this._renderProjection([]);
+      this._lastRender = {
+        rows: [],
+        config: this._cfg,
+        currency,
+        secondary: null,
+        hidePart,
+        buildBackPay,
+      };
+      this._renderBackPay();
+      this._emit("raisebuddy:render", { rows: [], currency });
+      return;
     }
 
-    if (!buildRowsFn) {
-      // If the helper isn't available, surface a clear error so failures are obvious
-      throw new Error(
-        "buildRows helper not available; ensure raisebuddy/src/buildRows.js is present and loadable",
+    // Show the effective default increment for the selected currency
+    if (this._els.incrementAmount)
+      this._els.incrementAmount.placeholder = String(
+        helpers.defaultIncrementFor(currency),
       );
-    }
 
     // Build the final JSON-ready rows using the pure logic
-    const finalRows = buildRowsFn({ baseFull, days, config: this._cfg });
+    let finalRows = buildRowsFn({
+      baseFull,
+      ...partTime,
+      config,
+      currency,
+      taxCountry: taxCountry || null,
+      target: this._readTarget(),
+      effectiveDate: effectiveDate || null,
+      asOf: this._readAsOf(helpers),
+      employerCost: this._readEmployerCost(),
+      compensation: this._readCompensation(),
+      band: this._readBand(currency),
+      merit: this._readMerit(),
+    });
+    if (this._hooks.transformRows)
+      finalRows =
+        this._hooks.transformRows(finalRows, { currency, config }) || finalRows;
+
+    const secondary = this._readSecondary(currency);
+
+    // Band min/mid/max separators, inserted before the first row above them
+    const markers = this._bandMarkers(currency);
 
     // Render rows using existing rendering helper (which does currency formatting and DOM insertion)
     this._clearRows();
 
+    let meritTag = null;
     for (const row of finalRows) {
+      while (markers.length && markers[0].value < row.fullYearly)
+        this._addBandSeparator(markers.shift(), currency);
+      // rows are sorted by raise, so each merit group is contiguous
+      if (row.meritTag && row.meritTag !== meritTag) {
+        meritTag = row.meritTag;
+        this._addMeritSeparator(meritTag);
+      }
+
       const snap =
         row.source === "FT"
           ? "FT"
@@ -141,6 +306,13 @@ class RaiseCalculator {
       const highlightPct =
         Array.isArray(row.highlightedCells) &&
         row.highlightedCells.includes("raisePct");
+      // monthly cells are only highlighted on goal-seek rows solved for them
+      const highlightMonthly =
+        Array.isArray(row.highlightedCells) &&
+        row.highlightedCells.includes("monthly");
+      const highlightMonthlyDiff =
+        Array.isArray(row.highlightedCells) &&
+        row.highlightedCells.includes("monthlyDiff");
 
       this._appendRowForRendering(row, {
         snap,
@@ -148,12 +320,559 @@ class RaiseCalculator {
         highlightFull,
         highlightPart,
         highlightPct,
+        highlightMonthly,
+        highlightMonthlyDiff,
+        secondary,
       });
     }
+    markers.forEach((marker) => this._addBandSeparator(marker, currency));
+
+    this._renderProjection(
+      buildProjection({
+        baseFull,
+        ...partTime,
+        config,
+        currency,
+        ...this._readProjection(),
+      }),
+      { currency, secondary, hidePart },
+    );
+
+    this._lastRender = {
+      rows: finalRows,
+      config,
+      currency,
+      secondary,
+      hidePart,
+      buildBackPay,
+    };
+    this._renderBackPay();
+
+    // Net columns only make sense when rows carry net figures
+    this._toggleColumn("net-col", !taxCountry);
+    this._toggleColumn("extra-col", config.PAYMENTS_PER_YEAR <= 12);
+    this._toggleColumn("rate-col", !config.INCLUDE_RATES);
+    this._toggleColumn(
+      "band-col",
+      !finalRows.length || finalRows[0].compaRatio === undefined,
+    );
+    this._toggleColumn(
+      "comp-col",
+      !finalRows.length || finalRows[0].totalComp === undefined,
+    );
+    this._toggleColumn(
+      "employer-col",
+      !finalRows.length || finalRows[0].employerCostYearly === undefined,
+    );
+    this._toggleColumn(
+      "payout-col",
+      !finalRows.length || finalRows[0].paidThisYear === undefined,
+    );
+
+    this._emit("raisebuddy:render", { rows: finalRows, currency });
+  }
+
+  // Dispatch a CustomEvent on `eventTarget`; bubbles and crosses shadow DOM
+  // boundaries so the embedding page can listen on any ancestor
+  _emit(name, detail) {
+    const target = this._eventTarget;
+    if (!target) return;
+    // create the event in the target's own window (not always the global one)
+    const doc = target.ownerDocument || target;
+    const Ctor =
+      doc.defaultView && doc.defaultView.CustomEvent
+        ? doc.defaultView.CustomEvent
+        : typeof CustomEvent === "function"
+          ? CustomEvent
+          : null;
+    if (!Ctor) return;
+    // listener errors are reported by the browser, dispatchEvent does not rethrow them
+    target.dispatchEvent(
+      new Ctor(name, { detail, bubbles: true, composed: true }),
+    );
   }
 
   // ---------- Helpers ----------
 
+  // Resolve a src/ module (`path` relative to src/) through src/shared.js.
+  // Returns null when it is not loaded.
+  _resolveModule(globalName, path) {
+    let shared = null;
+    try {
+      if (typeof window !== "undefined" && window.RaiseBuddyShared)
+        shared = window.RaiseBuddyShared;
+    } catch (err) {
+      /* ignore */
+    }
+    try {
+      if (!shared && typeof require === "function")
+        shared = require("../src/shared");
+    } catch (err) {
+      /* ignore */
+    }
+    if (!shared) {
+      throw new Error(
+        "shared helpers not available; ensure raisebuddy/src/shared.js is loaded before js/app.js",
+      );
+    }
+    return shared.resolveModule(globalName, path);
+  }
+
+  // Resolve the pure logic module (src/buildRows.js).
+  // Returns { buildRows, buildProjection, buildBackPay, helpers }.
+  _resolveLogic() {
+    const logic = this._resolveModule("RaiseBuddyLogic", "./buildRows");
+    if (!logic || typeof logic.buildRows !== "function") {
+      // If the helper isn't available, surface a clear error so failures are obvious
+      throw new Error(
+        "buildRows helper not available; ensure raisebuddy/src/buildRows.js is present and loadable",
+      );
+    }
+    return {
+      buildRows: logic.buildRows,
+      buildProjection: logic.buildProjection,
+      buildBackPay: logic.buildBackPay,
+      // the browser global carries the helpers next to buildRows
+      helpers: logic.helpers || logic,
+    };
+  }
+
+  // Merge the constructor config with the optional form overrides
+  // (ladder steps, payments per year, hourly/daily rate settings, proration).
+  // Returns null when even the default ladder for `baseFull` has more than
+  // MAX_ROWS rows (src/limits.js).
+  _readConfig(baseFull, currency, helpers) {
+    const { payments, showRates, hoursPerWeek, paidWeeks, proration } =
+      this._els;
+    const { incrementAmount, percentStep, percentSteps } = this._els;
+    const overrides = {};
+
+    // Ladder inputs: empty keeps the default, values outside the accepted
+    // ranges (src/limits.js) fall back to it with an alert
+    const limits = this._resolveModule("RaiseBuddyLimits", "./limits");
+    const invalid = [];
+    const ladder = {};
+    const ladderValue = (el, key, name) => {
+      if (!el || el.value === "") return null;
+      if (limits && !limits.isValidLadderValue(key, el.value)) {
+        invalid.push(name);
+        return null;
+      }
+      return Number(el.value);
+    };
+    const increment = ladderValue(incrementAmount, "increment", "increment");
+    if (increment !== null) ladder.INCREMENT_AMOUNT = increment;
+    // the form takes the percent step in %, the config as a fraction
+    const step = ladderValue(percentStep, "percentStep", "percent step");
+    if (step !== null) ladder.PERCENT_STEP = step / 100;
+    const steps = ladderValue(percentSteps, "steps", "number of steps");
+    if (steps !== null) ladder.PERCENT_STEPS = steps;
+
+    if (payments && Number(payments.value) > 0)
+      overrides.PAYMENTS_PER_YEAR = Number(payments.value);
+    if (showRates) overrides.INCLUDE_RATES = Boolean(showRates.checked);
+    if (hoursPerWeek && Number(hoursPerWeek.value) > 0)
+      overrides.HOURS_PER_WEEK = Number(hoursPerWeek.value);
+    if (paidWeeks && Number(paidWeeks.value) > 0)
+      overrides.PAID_WEEKS_PER_YEAR = Number(paidWeeks.value);
+    if (proration && proration.value) overrides.PRORATION = proration.value;
+
+    // Ladders of more than MAX_ROWS rows fall back to the default too; when
+    // even that one is too large, there is no ladder
+    const messages = invalid.length
+      ? [`Ladder ${invalid.join(", ")} out of range — using the default.`]
+      : [];
+    const tooLarge = (cfg) =>
+      limits &&
+      limits.estimateRowCount(baseFull, helpers.normalizeCfg(cfg, currency)) >
+        limits.MAX_ROWS;
+    const defaults = Object.assign({}, this._cfg, overrides);
+    let config = Object.assign({}, defaults, ladder);
+    if (tooLarge(config) && tooLarge(defaults)) {
+      messages.push(
+        `Salary too high for a ladder of at most ${limits.MAX_ROWS} rows — pick a larger increment.`,
+      );
+      config = null;
+    } else if (tooLarge(config)) {
+      messages.push(
+        `Ladder of more than ${limits.MAX_ROWS} rows — using the default.`,
+      );
+      config = defaults;
+    }
+    this._toggleLadderAlert(messages);
+    return config;
+  }
+
+  // Show (or clear) the alert about ladder inputs (`messages`, one sentence each)
+  _toggleLadderAlert(messages) {
+    const container = this._els.alert;
+    if (this._ladderAlert) {
+      this._ladderAlert.remove();
+      this._ladderAlert = null;
+    }
+    if (!messages.length || !container) return;
+    const alert = document.createElement("div");
+    alert.className = "alert alert-danger";
+    alert.setAttribute("role", "alert");
+    alert.textContent = messages.join(" ");
+    container.appendChild(alert);
+    this._ladderAlert = alert;
+  }
+
+  // Start of the "next 12 months" window: the optional `#asOf` date, else today
+  _readAsOf(helpers) {
+    const { asOf } = this._els;
+    return asOf && helpers.parseDate(asOf.value) ? asOf.value : new Date();
+  }
+
+  // Read the optional goal-seek target ({ type, value }) or null when unset
+  _readTarget() {
+    const { targetType, targetValue } = this._els;
+    if (!targetType || !targetValue || !targetType.value) return null;
+    const value = Number(targetValue.value);
+    if (!targetValue.value || !Number.isFinite(value)) return null;
+    return { type: targetType.value, value };
+  }
+
+  // Read the optional bonus/allowance inputs as a buildRows `compensation`
+  // object, or null when none of them is set.
+  _readCompensation() {
+    const { bonusPct, bonusAmount, allowances, raiseAppliesTo } = this._els;
+    const num = (el) => (el ? Math.max(0, Number(el.value) || 0) : 0);
+    const compensation = {
+      bonusPct: num(bonusPct),
+      bonusAmount: num(bonusAmount),
+      allowances: num(allowances),
+      raiseAppliesTo: raiseAppliesTo ? raiseAppliesTo.value : "base",
+    };
+    const isSet =
+      compensation.bonusPct > 0 ||
+      compensation.bonusAmount > 0 ||
+      compensation.allowances > 0;
+    return isSet ? compensation : null;
+  }
+
+  // Read the optional employer cost preset: a preset code, a custom preset built
+  // from the percentage inputs (when `#employerCost` is "custom") or null.
+  _readEmployerCost() {
+    const { employerCost } = this._els;
+    if (!employerCost || !employerCost.value) return null;
+    if (employerCost.value !== "custom") return employerCost.value;
+    const engine = this._resolveEmployerCost();
+    if (!engine) return null;
+    // the form takes percentages, the preset fractions
+    const pct = (el) => (el ? Number(el.value) / 100 || 0 : 0);
+    return engine.customPreset({
+      socialSecurity: pct(this._els.employerSocial),
+      pension: pct(this._els.employerPension),
+      payrollTax: pct(this._els.employerPayrollTax),
+    });
+  }
+
+  // Read the optional projection inputs as { raisePct, years }.
+  // Years stay 0 (no projection) when the inputs are missing or empty.
+  _readProjection() {
+    const { projectionPct, projectionYears } = this._els;
+    if (!projectionPct || !projectionYears) return { raisePct: 0, years: 0 };
+    return {
+      raisePct: Number(projectionPct.value) || 0,
+      years: Math.min(
+        50,
+        Math.max(0, Math.floor(Number(projectionYears.value) || 0)),
+      ),
+    };
+  }
+
+  // Read the optional secondary currency as { currency, rate } or null when unset.
+  // The rate converts one unit of the primary currency into the secondary one.
+  _readSecondary(currency) {
+    const { secondaryCurrency, fxRate } = this._els;
+    if (!secondaryCurrency || !fxRate || !secondaryCurrency.value) return null;
+    if (secondaryCurrency.value === currency) return null;
+    const rate = Number(fxRate.value);
+    if (!(rate > 0)) return null;
+    return { currency: secondaryCurrency.value, rate };
+  }
+
+  // Prefill `#fxRate` from the rate table for the selected currency pair and let
+  // the other input listeners (URL sync) know. With `onlyIfEmpty`, a rate that is
+  // already there (e.g. restored from the URL) is kept.
+  _fillFxRate(onlyIfEmpty = false) {
+    const { currency, secondaryCurrency, fxRate } = this._els;
+    if (!secondaryCurrency || !fxRate || !secondaryCurrency.value) return;
+    if (onlyIfEmpty && fxRate.value) return;
+    const rates = this._resolveRates();
+    if (!rates) return;
+    const rate = rates.getRate(
+      currency.value || "EUR",
+      secondaryCurrency.value,
+      this._rateTable || rates.DEFAULT_TABLE,
+    );
+    // pairs missing from the table keep the manual rate
+    if (rate === null) return;
+    fxRate.value = String(Number(rate.toPrecision(6)));
+    fxRate.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  // Show which rate table is in use (or why a loaded file was rejected)
+  _showRatesInfo(error) {
+    const { ratesInfo } = this._els;
+    if (!ratesInfo) return;
+    ratesInfo.classList.toggle("text-danger", Boolean(error));
+    if (error) {
+      ratesInfo.textContent = error;
+      return;
+    }
+    const rates = this._resolveRates();
+    if (!rates) return;
+    const table = this._rateTable || rates.DEFAULT_TABLE;
+    ratesInfo.textContent = `Rates as of ${table.date}${
+      table.source ? ` (${table.source})` : ""
+    }`;
+  }
+
+  // Load a user-provided JSON rate table from the optional `#ratesFile` input
+  _onRatesFile(e) {
+    const file = e.target.files && e.target.files[0];
+    const rates = this._resolveRates();
+    if (!file || !rates) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        this._rateTable = rates.parseRateTable(String(reader.result));
+      } catch (err) {
+        this._showRatesInfo(err.message);
+        return;
+      }
+      this._showRatesInfo();
+      this._fillFxRate();
+    };
+    reader.onerror = () => this._showRatesInfo("Could not read the rate file");
+    reader.readAsText(file);
+  }
+
+  // Pay band module (src/payBands.js), or null when it is not loaded
+  _resolveBands() {
+    return this._resolveModule("RaiseBuddyBands", "./payBands");
+  }
+
+  // Band of the grade picked in `#grade` for `currency`, or null
+  _readBand(currency) {
+    const bands = this._resolveBands();
+    const { grade } = this._els;
+    if (!bands || !this._bands || !grade || !grade.value) return null;
+    return bands.findBand(this._bands, grade.value, currency);
+  }
+
+  // Min/mid/max of the selected band as ascending { label, value } markers
+  _bandMarkers(currency) {
+    const band = this._readBand(currency);
+    if (!band) return [];
+    return [
+      { label: "Band min", value: band.min },
+      { label: "Band mid", value: band.mid },
+      { label: "Band max", value: band.max },
+    ];
+  }
+
+  // Separator row showing a band marker in the "Yearly (full-time)" column
+  _addBandSeparator(marker, currency) {
+    const table = this._els.results.closest("table");
+    const count = table ? table.querySelectorAll("thead th").length : 1;
+    const cells = new Array(count).fill("");
+    cells[0] = {
+      html: `<em>${marker.label}</em> ${this._formatCurrency(marker.value, currency)}`,
+    };
+    this._addRow(cells, { isSeparator: true });
+  }
+
+  // Merit matrix module (src/meritMatrix.js), or null when it is not loaded
+  _resolveMerit() {
+    return this._resolveModule("RaiseBuddyMerit", "./meritMatrix");
+  }
+
+  // Read the recommended raise range (`#meritMin`/`#meritMax`, in %) or null
+  _readMerit() {
+    const { meritMin, meritMax } = this._els;
+    if (
+      !meritMin ||
+      !meritMax ||
+      meritMin.value === "" ||
+      meritMax.value === ""
+    )
+      return null;
+    const min = Number(meritMin.value);
+    const max = Number(meritMax.value);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || max < min)
+      return null;
+    return { min, max };
+  }
+
+  // Separator row opening a merit group
+  _addMeritSeparator(tag) {
+    const merit = this._readMerit();
+    const labels = {
+      below: "Below the recommended range",
+      within: `Recommended range: ${merit.min}–${merit.max}%`,
+      above: "Above the recommended range",
+    };
+    const table = this._els.results.closest("table");
+    const count = table ? table.querySelectorAll("thead th").length : 1;
+    const cells = new Array(count).fill("");
+    cells[0] = { html: `<strong>${labels[tag]}</strong>` };
+    this._addRow(cells, { isSeparator: true });
+  }
+
+  // Fill `#meritRating` with the ratings of the matrix, keeping the selection
+  _renderRatingOptions() {
+    const { meritRating } = this._els;
+    const merit = this._resolveMerit();
+    if (!meritRating || !merit) return;
+    const matrix = this._meritMatrix || merit.DEFAULT_MATRIX;
+    const selected = meritRating.value;
+    meritRating.innerHTML = "";
+    [{ rating: "", label: "no rating" }]
+      .concat(merit.listRatings(matrix))
+      .forEach((r) => {
+        const opt = document.createElement("option");
+        opt.value = r.rating;
+        opt.textContent = r.rating ? `${r.rating} — ${r.label}` : r.label;
+        meritRating.appendChild(opt);
+      });
+    meritRating.value = matrix.ratings.some((r) => r.rating === selected)
+      ? selected
+      : "";
+  }
+
+  // Fill the recommended range from the matrix for the selected rating and
+  // today's compa-ratio (band midpoint without a band), then let the other
+  // input listeners (render, URL sync) know.
+  _fillMeritRange() {
+    const { meritRating, meritMin, meritMax, meritInfo } = this._els;
+    const merit = this._resolveMerit();
+    if (!meritRating || !meritMin || !meritMax || !merit) return;
+    const matrix = this._meritMatrix || merit.DEFAULT_MATRIX;
+    const band = this._readBand(this._els.currency.value || "EUR");
+    const baseFull = Math.max(0, Number(this._els.fullTime.value) || 0);
+    const recommended = meritRating.value
+      ? merit.recommend(
+          matrix,
+          meritRating.value,
+          band && baseFull ? baseFull / band.mid : 1,
+        )
+      : null;
+    meritMin.value = recommended ? String(recommended.min) : "";
+    meritMax.value = recommended ? String(recommended.max) : "";
+    if (meritInfo)
+      meritInfo.textContent = recommended
+        ? `Position in range: ${recommended.position}`
+        : "";
+    meritMin.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  // Parse a pasted merit matrix; empty text goes back to the built-in one
+  _loadMeritMatrix(text) {
+    const merit = this._resolveMerit();
+    const { meritInfo } = this._els;
+    if (!merit) return;
+    try {
+      this._meritMatrix = String(text || "").trim()
+        ? merit.parseMatrix(String(text))
+        : null;
+    } catch (err) {
+      if (meritInfo) {
+        meritInfo.textContent = err.message;
+        meritInfo.classList.add("text-danger");
+      }
+      return;
+    }
+    if (meritInfo) meritInfo.classList.remove("text-danger");
+    this._renderRatingOptions();
+    this._fillMeritRange();
+  }
+
+  // Parse a band file (JSON text), then refresh the grade options and the table.
+  // Empty text unloads the bands; errors are shown in `#bandsInfo`.
+  _loadBands(text) {
+    const bands = this._resolveBands();
+    const { bandsInfo } = this._els;
+    if (!bands) return;
+    if (!String(text || "").trim()) {
+      this._bands = null;
+      if (bandsInfo) bandsInfo.textContent = "";
+    } else {
+      try {
+        this._bands = bands.parseBands(String(text));
+      } catch (err) {
+        if (bandsInfo) {
+          bandsInfo.textContent = err.message;
+          bandsInfo.classList.add("text-danger");
+        }
+        return;
+      }
+      if (bandsInfo) {
+        const count = this._bands.bands.length;
+        bandsInfo.textContent = `${this._bands.name || "Bands"}: ${count} grade${count === 1 ? "" : "s"} loaded`;
+        bandsInfo.classList.remove("text-danger");
+      }
+    }
+    this._renderGradeOptions();
+    this.render();
+  }
+
+  // Load a band file picked in the optional `#bandsFile` input
+  _onBandsFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => this._loadBands(String(reader.result));
+    reader.onerror = () => {
+      if (this._els.bandsInfo)
+        this._els.bandsInfo.textContent = "Could not read the band file";
+    };
+    reader.readAsText(file);
+  }
+
+  // Fill `#grade` with the grades defined for the selected currency, keeping the
+  // current grade when it still exists
+  _renderGradeOptions() {
+    const { grade, currency } = this._els;
+    const bands = this._resolveBands();
+    if (!grade) return;
+    const selected = grade.value;
+    const grades =
+      bands && this._bands
+        ? bands.listGrades(this._bands, currency.value || "EUR")
+        : [];
+    grade.innerHTML = "";
+    [["", grades.length ? "no grade" : "no bands loaded"]]
+      .concat(grades.map((g) => [g, g]))
+      .forEach(([value, label]) => {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = label;
+        grade.appendChild(opt);
+      });
+    grade.value = grades.includes(selected) ? selected : "";
+  }
+
+  // Read the part-time inputs for the selected mode (days, hours or fte).
+  // Without the optional `#partTimeMode` select, only days per week are used.
+  _readPartTime(days) {
+    const mode = this._els.partTimeMode ? this._els.partTimeMode.value : "days";
+    if (mode === "fte" && this._els.fte) {
+      return { days, fte: Number(this._els.fte.value) || null };
+    }
+    if (mode === "hours" && this._els.hours && this._els.fullTimeHours) {
+      return {
+        days,
+        hours: Number(this._els.hours.value) || null,
+        fullTimeHours: Number(this._els.fullTimeHours.value) || null,
+      };
+    }
+    return { days };
+  }
+
   _appendRowForRendering(candidate, opts = {}) {
     const {
       snap = null,
@@ -161,62 +880,275 @@ class RaiseCalculator {
       highlightFull = false,
       highlightPart = false,
       highlightPct = false,
+      highlightMonthly = false,
+      highlightMonthlyDiff = false,
+      secondary = null,
     } = opts;
 
     // Build column values (strings/html)
-    // Columns: Yearly (full-time), Yearly (part-time), Yearly Δ, Monthly, Raise (%), Monthly Δ
+    // Columns: Yearly (full-time), Yearly (part-time), Monthly, Extra payments, Raise (%),
+    // Yearly Δ, Monthly Δ,
+    // then the optional net columns: Net yearly, Net monthly, Net monthly Δ,
+    // the optional rate columns: Hourly rate, Daily rate,
+    // the optional compensation columns: Target bonus, Total target comp, Total comp Δ,
+    // the optional payout columns: Paid this year, Paid next 12 months,
+    // the optional employer columns: Employer cost, Employer cost Δ,
+    // and the optional band columns: Compa-ratio, Range penetration
+
+    const moneyCell = (value, strong = false, className = "") =>
+      this._moneyCell(value, { currency, secondary, strong, className });
 
-    const fullVal = this._formatCurrency(candidate.fullYearly, currency);
-    const partVal = this._formatCurrency(candidate.partYearly, currency);
-    const yearlyDiffVal = this._formatCurrency(candidate.yearlyDiff, currency);
-    const monthlyVal = this._formatCurrency(candidate.monthly, currency);
     const raisePctVal = `${candidate.raisePct.toFixed(2)}%`;
-    const monthlyDiffVal = this._formatCurrency(
-      candidate.monthlyDiff,
-      currency,
-    );
 
     // Render snapped cell with <strong> or apply "round" highlights as requested
-    const fullCell =
-      snap === "FT" || highlightFull
-        ? { html: `<strong>${fullVal}</strong>` }
-        : { text: fullVal };
-
-    const partCell =
-      snap === "PT" || highlightPart
-        ? { html: `<strong>${partVal}</strong>`, className: "part-col" }
-        : { text: partVal, className: "part-col" };
+    const fullCell = moneyCell(
+      candidate.fullYearly,
+      snap === "FT" || highlightFull,
+    );
+    const partCell = moneyCell(
+      candidate.partYearly,
+      snap === "PT" || highlightPart,
+      "part-col",
+    );
 
     const pctCell =
       snap === "PCT" || highlightPct
         ? { html: `<strong>${raisePctVal}</strong>` }
         : { text: raisePctVal };
 
+    const monthlyCell = moneyCell(candidate.monthly, highlightMonthly);
+    const extraCell = moneyCell(candidate.extraPayments, false, "extra-col");
+
     // monthly diff always displayed (no part-only behavior)
-    const diffCell = { text: monthlyDiffVal };
-    const yearlyDiffCell = { text: yearlyDiffVal };
+    const diffCell = moneyCell(candidate.monthlyDiff, highlightMonthlyDiff);
+    const yearlyDiffCell = moneyCell(candidate.yearlyDiff);
+
+    const netCell = (value) => moneyCell(value, false, "net-col");
+    const rateCell = (value) => moneyCell(value, false, "rate-col");
+    const payoutCell = (value) => moneyCell(value, false, "payout-col");
+    const employerCell = (value) => moneyCell(value, false, "employer-col");
+    const compCell = (value) => moneyCell(value, false, "comp-col");
 
     // Append row (cells order matches header)
     // Use rounded fullYearly as a stable key (string)
     const key = String(Math.round(candidate.fullYearly || 0));
+    const cells = [
+      fullCell,
+      partCell,
+      monthlyCell,
+      extraCell,
+      pctCell,
+      yearlyDiffCell,
+      diffCell,
+      netCell(candidate.netYearly),
+      netCell(candidate.netMonthly),
+      netCell(candidate.netMonthlyDiff),
+      rateCell(candidate.hourlyRate),
+      rateCell(candidate.dailyRate),
+      compCell(candidate.bonusYearly),
+      compCell(candidate.totalComp),
+      compCell(candidate.totalCompDiff),
+      payoutCell(candidate.paidThisYear),
+      payoutCell(candidate.paidFirst12Months),
+      employerCell(candidate.employerCostYearly),
+      employerCell(candidate.employerCostDelta),
+      ...this._bandCells(candidate),
+    ];
     this._addRow(
-      [fullCell, partCell, monthlyVal, pctCell, yearlyDiffCell, diffCell],
-      { key },
+      this._hooks.formatCell
+        ? this._formatCells(cells, candidate, currency)
+        : cells,
+      {
+        key,
+        // goal-seek rows stand out from the ladder, rows outside the band are flagged
+        className:
+          candidate.source === "GOAL" || candidate.reachesTarget
+            ? "table-success"
+            : candidate.bandStatus && candidate.bandStatus !== "within"
+              ? "table-warning"
+              : "",
+        // picked up by the projection on click (see _onRowClick)
+        dataset: { raisePct: String(candidate.raisePct) },
+      },
+    );
+  }
+
+  // Pass the cells of `row` through the formatCell hook, adding empty cells for
+  // headers beyond the built-in columns
+  _formatCells(cells, row, currency) {
+    const table = this._els.results.closest("table");
+    const headers = table ? Array.from(table.querySelectorAll("thead th")) : [];
+    const all = cells.concat(
+      headers.slice(cells.length).map(() => ({ text: "" })),
+    );
+    return all.map((cell, index) => {
+      const th = headers[index];
+      const column =
+        index < cells.length
+          ? RaiseCalculator.COLUMNS[index]
+          : th.dataset.column || (th.textContent || "").trim();
+      const formatted = this._hooks.formatCell(cell, {
+        row,
+        column,
+        index,
+        currency,
+      });
+      if (formatted === undefined) return cell;
+      // keep the column's class so the cell is still toggled with its header
+      if (
+        formatted &&
+        typeof formatted === "object" &&
+        !formatted.className &&
+        cell.className
+      )
+        return Object.assign({}, formatted, { className: cell.className });
+      return formatted;
+    });
+  }
+
+  // Compa-ratio and range penetration cells, flagging rows outside the band
+  _bandCells(candidate) {
+    if (candidate.compaRatio === undefined)
+      return [
+        { text: "", className: "band-col" },
+        { text: "", className: "band-col" },
+      ];
+    const flag =
+      candidate.bandStatus === "within"
+        ? ""
+        : ` <span class="badge text-bg-warning">${candidate.bandStatus} band</span>`;
+    return [
+      {
+        html: `${candidate.compaRatio.toFixed(2)}${flag}`,
+        className: "band-col",
+      },
+      {
+        text: `${Math.round(candidate.rangePenetration * 100)}%`,
+        className: "band-col",
+      },
+    ];
+  }
+
+  // Monetary cell: formatted amount, in <strong> when highlighted, with the
+  // converted amount underneath when a secondary currency is active.
+  // Cells stay empty for missing figures (e.g. net columns without a tax country).
+  _moneyCell(value, opts = {}) {
+    const { currency, secondary = null, strong = false, className = "" } = opts;
+    if (!Number.isFinite(value)) return { text: "", className };
+    const primary = this._formatCurrency(value, currency);
+    const main = strong ? `<strong>${primary}</strong>` : primary;
+    if (!secondary)
+      return strong ? { html: main, className } : { text: primary, className };
+    const converted = this._formatCurrency(
+      value * secondary.rate,
+      secondary.currency,
     );
+    return {
+      html: `${main}<br /><small class="text-muted secondary-amount">≈ ${converted}</small>`,
+      className,
+    };
+  }
+
+  // Fill the optional `#projection` table (year, full-time, part-time, monthly,
+  // cumulative raise %, cumulative extra earnings) and hide its section when empty.
+  _renderProjection(rows, opts = {}) {
+    const body = this._els.projection;
+    if (!body) return;
+    const { currency, secondary = null, hidePart = false } = opts;
+    body.innerHTML = "";
+    const table = body.closest("table");
+    const section = (table && table.closest("section")) || table;
+    if (section) section.classList.toggle("d-none", rows.length === 0);
+    if (table)
+      table
+        .querySelectorAll("thead th.part-col")
+        .forEach((th) => th.classList.toggle("d-none", hidePart));
+
+    const money = (value, className = "") =>
+      this._moneyCell(value, { currency, secondary, className });
+    for (const row of rows) {
+      this._addRow(
+        [
+          { text: row.year === 0 ? "Today" : `Year ${row.year}` },
+          money(row.fullYearly),
+          money(row.partYearly, "part-col"),
+          money(row.monthly),
+          { text: `${row.raisePct.toFixed(2)}%` },
+          money(row.cumulativeExtra),
+        ],
+        { body },
+      );
+    }
+  }
+
+  // Fill the optional `#backPay` table with the back pay of the last highlighted
+  // row (month, full-time, part-time, then a total) and hide its section when
+  // there is nothing to show.
+  _renderBackPay() {
+    const body = this._els.backPay;
+    if (!body || !this._lastRender) return;
+    const { rows, config, currency, secondary, hidePart, buildBackPay } =
+      this._lastRender;
+    const { backPayFrom, backPayDate } = this._els;
+    const key = Array.from(this._highlighted).pop();
+    const row = rows.find((r) => String(Math.round(r.fullYearly)) === key);
+    const result = buildBackPay(row, {
+      effectiveDate: backPayFrom ? backPayFrom.value : null,
+      paymentDate: backPayDate ? backPayDate.value : null,
+      config,
+    });
+
+    body.innerHTML = "";
+    const table = body.closest("table");
+    const section = (table && table.closest("section")) || table;
+    if (section) section.classList.toggle("d-none", !result.months.length);
+    if (table)
+      table
+        .querySelectorAll("thead th.part-col")
+        .forEach((th) => th.classList.toggle("d-none", hidePart));
+
+    const money = (value, className = "", strong = false) =>
+      this._moneyCell(value, { currency, secondary, className, strong });
+    for (const m of result.months) {
+      const partial =
+        m.fraction < 1 ? ` (${Math.round(m.fraction * 100)}%)` : "";
+      this._addRow(
+        [
+          { text: m.month + partial },
+          money(m.fullTime),
+          money(m.partTime, "part-col"),
+        ],
+        { body },
+      );
+    }
+    if (result.months.length)
+      this._addRow(
+        [
+          { html: "<strong>Total</strong>" },
+          money(result.totalFullTime, "", true),
+          money(result.totalPartTime, "part-col", true),
+        ],
+        { body },
+      );
   }
 
   _resolveEl(selectorOrEl) {
     if (!selectorOrEl) return null;
-    if (typeof selectorOrEl === "string")
-      return document.querySelector(selectorOrEl);
+    if (typeof selectorOrEl === "string") {
+      // "#id" also matches `data-rb-id="id"` (repeated containers cannot repeat ids)
+      const id = /^#([\w-]+)$/.exec(selectorOrEl);
+      return this._root.querySelector(
+        id ? `${selectorOrEl}, [data-rb-id="${id[1]}"]` : selectorOrEl,
+      );
+    }
     if (selectorOrEl instanceof HTMLElement) return selectorOrEl;
     return null;
   }
 
   _ensureElements() {
     const missing = [];
-    for (const [k, el] of Object.entries(this._els)) {
-      if (!el) missing.push(k);
+    for (const k of ["currency", "fullTime", "days", "results"]) {
+      if (!this._els[k]) missing.push(k);
     }
     if (missing.length) {
       console.error("RaiseCalculator: missing elements:", missing);
@@ -226,20 +1158,98 @@ class RaiseCalculator {
 
   _bindEvents() {
     const { currency, fullTime, days, results } = this._els;
+    const optional = [
+      "taxCountry",
+      "payments",
+      "partTimeMode",
+      "hours",
+      "fullTimeHours",
+      "fte",
+      "showRates",
+      "hoursPerWeek",
+      "paidWeeks",
+      "incrementAmount",
+      "percentStep",
+      "percentSteps",
+      "targetType",
+      "targetValue",
+      "locale",
+      "secondaryCurrency",
+      "fxRate",
+      "projectionPct",
+      "projectionYears",
+      "effectiveDate",
+      "proration",
+      "asOf",
+      "backPayFrom",
+      "backPayDate",
+      "employerCost",
+      "employerSocial",
+      "employerPension",
+      "employerPayrollTax",
+      "bonusPct",
+      "bonusAmount",
+      "allowances",
+      "raiseAppliesTo",
+      "grade",
+      "meritRating",
+      "meritMin",
+      "meritMax",
+    ].map((k) => this._els[k]);
 
     // Existing render-on-input behavior
-    [currency, fullTime, days].forEach((el) => {
+    [currency, fullTime, days, ...optional].filter(Boolean).forEach((el) => {
       el.addEventListener("input", this._onInput);
       // When the form updates the URL (index.html's updateUrlFromForm), it may replace the query.
       // Re-apply our highlights param immediately after (allow other handlers to run first).
       el.addEventListener("input", () =>
-        setTimeout(() => this._updateUrlWithHighlights(), 0),
+        setTimeout(() => this._updateUrlState(), 0),
       );
       el.addEventListener("change", () =>
-        setTimeout(() => this._updateUrlWithHighlights(), 0),
+        setTimeout(() => this._updateUrlState(), 0),
       );
     });
 
+    // Picking another currency pair refreshes the rate from the table
+    // (registered after the render listeners, the dispatched input re-renders)
+    [currency, this._els.secondaryCurrency]
+      .filter(Boolean)
+      .forEach((el) => el.addEventListener("change", () => this._fillFxRate()));
+    if (this._els.ratesFile)
+      this._els.ratesFile.addEventListener("change", (e) =>
+        this._onRatesFile(e),
+      );
+    this._fillFxRate(true);
+    this._showRatesInfo();
+
+    // Pay bands: the file input and the pasted JSON (applied when it loses focus)
+    if (this._els.bandsFile)
+      this._els.bandsFile.addEventListener("change", (e) =>
+        this._onBandsFile(e),
+      );
+    if (this._els.bandsText)
+      this._els.bandsText.addEventListener("change", () =>
+        this._loadBands(this._els.bandsText.value),
+      );
+    // grades are defined per currency
+    currency.addEventListener("change", () => this._renderGradeOptions());
+
+    // Merit matrix: a new rating, matrix or grade refreshes the recommended range
+    this._renderRatingOptions();
+    if (this._els.meritRating)
+      this._els.meritRating.addEventListener("change", () =>
+        this._fillMeritRange(),
+      );
+    if (this._els.grade)
+      this._els.grade.addEventListener("change", () => {
+        if (this._els.meritRating && this._els.meritRating.value)
+          this._fillMeritRange();
+      });
+    if (this._els.meritMatrix)
+      this._els.meritMatrix.addEventListener("change", () =>
+        this._loadMeritMatrix(this._els.meritMatrix.value),
+      );
+
     // Row click handling (event delegation)
     if (results) {
       results.addEventListener("click", this._onRowClick);
@@ -254,9 +1264,10 @@ class RaiseCalculator {
 
   // Restore highlighted keys from the URL `highlights` parameter (comma separated)
   _restoreHighlightsFromUrl() {
+    if (!this._urlState) return;
     try {
       const params = new URLSearchParams(location.search);
-      const highlights = params.get("highlights");
+      const highlights = params.get(this._urlParam("highlights"));
       if (!highlights) return;
       const parts = highlights
         .split(",")
@@ -269,16 +1280,76 @@ class RaiseCalculator {
     }
   }
 
-  // Update the URL `highlights` parameter to reflect current highlighted set.
-  // This merges with existing params instead of replacing them.
-  _updateUrlWithHighlights() {
+  // URL parameter `name`, prefixed with the instance's `urlKey`
+  _urlParam(name) {
+    return this._urlKey ? `${this._urlKey}-${name}` : name;
+  }
+
+  // Fill the URL_FIELDS inputs from this instance's prefixed URL parameters
+  // (instances with a `urlKey` only); invalid values are left out
+  _restoreFieldsFromUrl() {
+    if (!this._urlState || !this._urlKey) return;
+    const params = new URLSearchParams(location.search);
+    RaiseCalculator.URL_FIELDS.forEach(([key, name]) => {
+      const el = this._els[key];
+      const value = params.get(this._urlParam(name));
+      if (el && value !== null && this._isValidUrlValue(name, value, el))
+        el.value = value;
+    });
+  }
+
+  // Whether `value` is accepted for the URL parameter `name` (as on the page)
+  _isValidUrlValue(name, value, el) {
+    if (el.tagName === "SELECT")
+      return Array.from(el.options).some((o) => o.value === value);
+    const limits = this._resolveModule("RaiseBuddyLimits", "./limits");
+    const currencies = this._resolveModule(
+      "RaiseBuddyCurrencies",
+      "./currencies",
+    );
+    const { helpers } = this._resolveLogic();
+    const checks = {
+      salary: (v) =>
+        /^\d+$/.test(v) && (limits ? limits.isValidSalary(v) : Number(v) > 0),
+      currency: (v) =>
+        currencies ? currencies.isCurrencyCode(v) : /^[A-Z]{3}$/.test(v),
+      "days-per-week": (v) =>
+        limits ? limits.isValidDays(v) : Number(v) >= 1 && Number(v) <= 5,
+      increment: (v) => !limits || limits.isValidLadderValue("increment", v),
+      "percent-step": (v) =>
+        !limits || limits.isValidLadderValue("percentStep", v),
+      "percent-steps": (v) => !limits || limits.isValidLadderValue("steps", v),
+      "effective-date": (v) => helpers.parseDate(v) !== null,
+      "as-of": (v) => helpers.parseDate(v) !== null,
+    };
+    return checks[name] ? checks[name](value) : true;
+  }
+
+  // Update this instance's URL parameters: the highlighted rows and, with a
+  // `urlKey`, the URL_FIELDS inputs. Other parameters are kept.
+  _updateUrlState() {
+    if (!this._urlState) {
+      this._showOrHideResetButton();
+      return;
+    }
     try {
       const params = new URLSearchParams(location.search);
 
       if (this._highlighted.size > 0) {
-        params.set("highlights", Array.from(this._highlighted).join(","));
+        params.set(
+          this._urlParam("highlights"),
+          Array.from(this._highlighted).join(","),
+        );
       } else {
-        params.delete("highlights");
+        params.delete(this._urlParam("highlights"));
+      }
+      if (this._urlKey) {
+        RaiseCalculator.URL_FIELDS.forEach(([key, name]) => {
+          const el = this._els[key];
+          if (el && el.value && this._isValidUrlValue(name, el.value, el))
+            params.set(this._urlParam(name), el.value);
+          else params.delete(this._urlParam(name));
+        });
       }
 
       const newQuery = params.toString();
@@ -301,6 +1372,18 @@ class RaiseCalculator {
     const key = tr.dataset && tr.dataset.key ? String(tr.dataset.key) : null;
     if (!key) return;
 
+    if (this._hooks.onRowClick) {
+      const rows = this._lastRender ? this._lastRender.rows : [];
+      const row =
+        rows.find((r) => String(Math.round(r.fullYearly || 0)) === key) || null;
+      const result = this._hooks.onRowClick(row, {
+        key,
+        highlighted: this._highlighted.has(key),
+        event: ev,
+      });
+      if (result === false) return;
+    }
+
     if (this._highlighted.has(key)) {
       this._highlighted.delete(key);
       tr.classList.remove("table-primary");
@@ -310,22 +1393,41 @@ class RaiseCalculator {
     }
 
     // Update URL and reset button visibility
-    this._updateUrlWithHighlights();
+    this._updateUrlState();
+    this._renderBackPay();
+    this._emit("raisebuddy:highlight", { keys: Array.from(this._highlighted) });
+
+    // With a projection shown, the clicked row's raise % becomes the yearly raise
+    const { projectionPct } = this._els;
+    if (
+      projectionPct &&
+      this._readProjection().years > 0 &&
+      tr.dataset.raisePct
+    ) {
+      projectionPct.value = String(
+        Math.round(Number(tr.dataset.raisePct) * 100) / 100,
+      );
+      projectionPct.dispatchEvent(new Event("input", { bubbles: true }));
+    }
   }
 
   // Create or find the "Reset highlighted rows" button and wire its handler.
   // It will be inserted just before the existing #copyLink button if possible.
   _ensureNavButtons() {
     try {
-      const copyBtn = document.getElementById("copyLink");
-      if (!copyBtn) return;
+      const copyBtn = this._els.copyLink;
 
       // If the reset button already exists, keep reference
-      let resetBtn = document.getElementById("resetHighlights");
-      if (!resetBtn) {
+      let resetBtn = this._els.resetHighlights;
+      if (resetBtn) {
+        resetBtn.addEventListener("click", () => this._onResetClick());
+      } else if (copyBtn) {
         resetBtn = document.createElement("button");
         resetBtn.type = "button";
-        resetBtn.id = "resetHighlights";
+        // only a page-level instance takes the id; instances in containers
+        // may add one each
+        if (this._root.nodeType === 9) resetBtn.id = "resetHighlights";
+        else resetBtn.dataset.rbId = "resetHighlights";
         resetBtn.className = "btn btn-sm btn-outline-secondary me-2";
         resetBtn.textContent = "Reset highlighted rows";
         resetBtn.style.display = "none";
@@ -365,16 +1467,26 @@ class RaiseCalculator {
       : [];
     rows.forEach((r) => r.classList.remove("table-primary"));
 
-    this._updateUrlWithHighlights();
+    this._updateUrlState();
+    this._renderBackPay();
+    this._emit("raisebuddy:highlight", { keys: [] });
   }
 
-  _onInput() {
+  _onInput(ev) {
+    const el = ev && ev.target;
+    if (el) {
+      const field =
+        Object.keys(this._els).find((k) => this._els[k] === el) || el.id;
+      this._emit("raisebuddy:inputchange", { field, value: el.value });
+    }
     this.render();
   }
 
   // Compute header index of the "Yearly (part-time)" column so we can toggle it by index
+  // (only this instance's results table counts, not other tables of the page)
   _computePartColumnIndex() {
-    const ths = Array.from(document.querySelectorAll("table thead th"));
+    const table = this._els.results ? this._els.results.closest("table") : null;
+    const ths = table ? Array.from(table.querySelectorAll("thead th")) : [];
     this._partColIndex = null;
     for (let i = 0; i < ths.length; i++) {
       const th = ths[i];
@@ -418,13 +1530,29 @@ class RaiseCalculator {
     });
   }
 
+  // Toggle every header/body cell carrying `className` using Bootstrap `d-none`
+  _toggleColumn(className, hide) {
+    const table = this._els.results ? this._els.results.closest("table") : null;
+    if (!table) return;
+    const cells = table.querySelectorAll(
+      `thead th.${className}, tbody td.${className}`,
+    );
+    cells.forEach((cell) => {
+      if (hide) cell.classList.add("d-none");
+      else cell.classList.remove("d-none");
+    });
+  }
+
   _clearRows() {
     this._els.results.innerHTML = "";
   }
 
+  // Append a row to `opts.body` (the #results tbody by default)
   _addRow(cells, opts = {}) {
+    const body = opts.body || this._els.results;
     const tr = document.createElement("tr");
     if (opts.isSeparator) tr.className = "table-light";
+    else if (opts.className) tr.className = opts.className;
 
     // If a key was provided, add it as a data attribute for selection
     if (opts.key) {
@@ -432,9 +1560,10 @@ class RaiseCalculator {
       // make rows show pointer to indicate clickability
       tr.style.cursor = "pointer";
     }
+    if (opts.dataset) Object.assign(tr.dataset, opts.dataset);
 
     // Snapshot header cells so newly added rows mirror header hide state automatically
-    const table = this._els.results ? this._els.results.closest("table") : null;
+    const table = body ? body.closest("table") : null;
     const headerCells = table
       ? Array.from(table.querySelectorAll("thead th"))
       : [];
@@ -474,19 +1603,152 @@ class RaiseCalculator {
       tr.classList.add("table-primary");
     }
 
-    this._els.results.appendChild(tr);
+    body.appendChild(tr);
   }
 
-  // Format currency: integer, locale-aware thousand separators
+  // Format currency via src/formatMoney.js (Intl.NumberFormat) in the selected locale
   _formatCurrency(value, currency = "EUR") {
-    const n = Math.round(Number(value) || 0);
-    const formatted = n.toLocaleString(undefined, { maximumFractionDigits: 0 });
-    if (currency === "EUR") return `${formatted}€`;
-    if (currency === "USD") return `$${formatted}`;
-    return `${formatted} ${String(currency)}`;
+    const locale = this._els.locale ? this._els.locale.value : "";
+    return this._resolveFormatter().formatMoney(value, currency, locale);
+  }
+
+  // Exchange-rate module (src/exchangeRates.js), or null when it is not loaded:
+  // the secondary currency then relies on the manual `#fxRate` only
+  _resolveRates() {
+    return this._resolveModule("RaiseBuddyRates", "./exchangeRates");
+  }
+
+  // Employer cost module (src/employerCost.js), or null when it is not loaded
+  // (custom presets are then unavailable)
+  _resolveEmployerCost() {
+    return this._resolveModule("RaiseBuddyEmployerCost", "./employerCost");
+  }
+
+  // Resolve the formatting module (src/formatMoney.js)
+  _resolveFormatter() {
+    if (!this._formatter)
+      this._formatter = this._resolveModule(
+        "RaiseBuddyFormat",
+        "./formatMoney",
+      );
+    if (!this._formatter) {
+      throw new Error(
+        "formatMoney helper not available; ensure raisebuddy/src/formatMoney.js is present and loadable",
+      );
+    }
+    return this._formatter;
   }
 }
 
+// Row fields shown by the built-in result columns, in order (the formatCell hook's `column`)
+RaiseCalculator.COLUMNS = [
+  "fullYearly",
+  "partYearly",
+  "monthly",
+  "extraPayments",
+  "raisePct",
+  "yearlyDiff",
+  "monthlyDiff",
+  "netYearly",
+  "netMonthly",
+  "netMonthlyDiff",
+  "hourlyRate",
+  "dailyRate",
+  "bonusYearly",
+  "totalComp",
+  "totalCompDiff",
+  "paidThisYear",
+  "paidFirst12Months",
+  "employerCostYearly",
+  "employerCostDelta",
+  "compaRatio",
+  "rangePenetration",
+];
+
+// Optional inputs of each feature: constructor option -> { element: default selector }
+RaiseCalculator.FEATURES = {
+  net: { taxCountry: "#taxCountry" },
+  payments: { payments: "#paymentsPerYear" },
+  partTime: {
+    partTimeMode: "#partTimeMode",
+    hours: "#hours",
+    fullTimeHours: "#fullTimeHours",
+    fte: "#fte",
+  },
+  rates: {
+    showRates: "#showRates",
+    hoursPerWeek: "#hoursPerWeek",
+    paidWeeks: "#paidWeeks",
+  },
+  target: { targetType: "#targetType", targetValue: "#targetValue" },
+  ladder: {
+    incrementAmount: "#incrementAmount",
+    percentStep: "#percentStep",
+    percentSteps: "#percentSteps",
+  },
+  format: { locale: "#locale" },
+  secondary: {
+    secondaryCurrency: "#secondaryCurrency",
+    fxRate: "#fxRate",
+    ratesFile: "#ratesFile",
+    ratesInfo: "#ratesInfo",
+  },
+  projection: {
+    projectionPct: "#projectionPct",
+    projectionYears: "#projectionYears",
+    projection: "#projection",
+  },
+  payouts: {
+    effectiveDate: "#effectiveDate",
+    proration: "#proration",
+    asOf: "#asOf",
+  },
+  backPay: {
+    backPayFrom: "#backPayFrom",
+    backPayDate: "#backPayDate",
+    backPay: "#backPay",
+  },
+  employerCost: {
+    employerCost: "#employerCost",
+    employerSocial: "#employerSocial",
+    employerPension: "#employerPension",
+    employerPayrollTax: "#employerPayrollTax",
+  },
+  compensation: {
+    bonusPct: "#bonusPct",
+    bonusAmount: "#bonusAmount",
+    allowances: "#allowances",
+    raiseAppliesTo: "#raiseAppliesTo",
+  },
+  bands: {
+    bandsFile: "#bandsFile",
+    bandsText: "#bandsText",
+    bandsInfo: "#bandsInfo",
+    grade: "#grade",
+  },
+  merit: {
+    meritRating: "#meritRating",
+    meritMin: "#meritMin",
+    meritMax: "#meritMax",
+    meritMatrix: "#meritMatrix",
+    meritInfo: "#meritInfo",
+  },
+};
+
+// Inputs an instance with a `urlKey` keeps in the URL: [element, parameter as on the page]
+RaiseCalculator.URL_FIELDS = [
+  ["fullTime", "salary"],
+  ["currency", "currency"],
+  ["days", "days-per-week"],
+  ["payments", "payments-per-year"],
+  ["taxCountry", "tax"],
+  ["incrementAmount", "increment"],
+  ["percentStep", "percent-step"],
+  ["percentSteps", "percent-steps"],
+  ["effectiveDate", "effective-date"],
+  ["asOf", "as-of"],
+];
+
 /* Auto-bootstrap */
 (function () {
   // Expose the constructor immediately so tests or other tooling that require/import
@@ -515,6 +1777,34 @@ class RaiseCalculator {
   }
 
   function bootstrap() {
+    // Several calculators on one page: one instance per `data-raisebuddy` container,
+    // its value namespacing the URL state (see `urlKey`)
+    const containers = Array.from(
+      document.querySelectorAll("[data-raisebuddy]"),
+    );
+    if (containers.length > 0) {
+      // a broken container must not keep the others from mounting
+      window.raiseCalculatorInstances = [];
+      containers.forEach((root) => {
+        try {
+          window.raiseCalculatorInstances.push(
+            new RaiseCalculator({
+              root,
+              urlKey: root.dataset.raisebuddy,
+            }).init(),
+          );
+        } catch (err) {
+          console.error(
+            `RaiseCalculator bootstrap failed for "${root.dataset.raisebuddy}":`,
+            err,
+          );
+        }
+      });
+      return;
+    }
+
+    // pages embedding <raise-buddy> elements have no page-level calculator
+    if (!document.querySelector("#results")) return;
     try {
       const instance = new RaiseCalculator().init();
       try {
@@ -0,0 +1,300 @@
+/**
+ * raisebuddy/js/raiseBuddyElement.js
+ *
+ * <raise-buddy> - the calculator as an embeddable custom element
+ *
+ *   <raise-buddy salary="50000" days="4" currency="EUR"
+ *                config='{"PERCENT_STEPS": 10}'></raise-buddy>
+ *
+ * Responsibilities:
+ *  - Render a compact form (salary, days per week, currency) and the results table into
+ *    its own shadow root, driven by a RaiseCalculator (js/app.js) scoped to that root
+ *  - Take the initial values from the `salary`, `days` and `currency` attributes and keep
+ *    the form in sync when they change; `config` (JSON, see normalizeCfg), `locale` and
+ *    `stylesheet` rebuild the calculator, keeping the values typed into the form
+ *  - Fire the calculator's CustomEvents (`raisebuddy:render`, `raisebuddy:highlight`,
+ *    `raisebuddy:inputchange`, see js/app.js) from the element; they bubble out of the
+ *    shadow root
+ *  - Leave the host page alone: no global IDs, no URL or history updates
+ *
+ * Styling: the shadow root carries a few base styles of its own, so the element does not
+ * depend on the page's Bootstrap. `stylesheet` takes space-separated stylesheet URLs
+ * (e.g. Bootstrap and css/styles.css) linked inside the shadow root.
+ *
+ * Notes:
+ *  - Needs the same scripts as index.html (src/shared.js first, then src/currencies.js,
+ *    src/formatMoney.js, src/buildRows.js, ..., js/app.js) loaded before this one, in
+ *    the order embed.html loads them.
+ *  - Registers `raise-buddy` when custom elements are available and exposes
+ *    `window.RaiseBuddyElement`.
+ */
+
+// Result columns, in the order RaiseCalculator renders the cells (see index.html)
+const RAISE_BUDDY_COLUMNS = [
+  ["", "Yearly (full-time)"],
+  ["part-col", "Yearly (part-time)"],
+  ["", "Monthly"],
+  ["extra-col d-none", "Extra payments (yearly)"],
+  ["", "Raise %"],
+  ["", "Yearly Δ"],
+  ["", "Monthly Δ"],
+  ["net-col d-none", "Net yearly"],
+  ["net-col d-none", "Net monthly"],
+  ["net-col d-none", "Net monthly Δ"],
+  ["rate-col d-none", "Hourly rate"],
+  ["rate-col d-none", "Daily rate"],
+  ["comp-col d-none", "Target bonus"],
+  ["comp-col d-none", "Total target comp"],
+  ["comp-col d-none", "Total comp Δ"],
+  ["payout-col d-none", "Paid this year"],
+  ["payout-col d-none", "Paid next 12 months"],
+  ["employer-col d-none", "Employer cost"],
+  ["employer-col d-none", "Employer cost Δ"],
+  ["band-col d-none", "Compa-ratio"],
+  ["band-col d-none", "Range penetration"],
+];
+
+// Base styles: enough layout to be usable without any external stylesheet
+const RAISE_BUDDY_STYLES = `
+  :host { display: block; font-family: system-ui, sans-serif; }
+  .d-none { display: none !important; }
+  form { display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: end; margin-bottom: 0.75rem; }
+  label { display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; }
+  input, select { font: inherit; padding: 0.25rem 0.5rem; }
+  .table-wrap { overflow-x: auto; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td {
+    font-family: ui-monospace, "SFMono-Regular", Menlo, Monaco, "Roboto Mono", "Courier New", monospace;
+    text-align: right; padding: 0.25rem 0.5rem; border-bottom: 1px solid #dee2e6; white-space: nowrap;
+  }
+  tbody tr { cursor: pointer; }
+  .table-primary { background: #cfe2ff; }
+  .table-light { background: #f8f9fa; }
+  .table-warning { background: #fff3cd; }
+`;
+
+class RaiseBuddyElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["salary", "days", "currency", "config", "locale", "stylesheet"];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    // RaiseCalculator driving the shadow DOM, created on connect
+    this._calculator = null;
+    // rows of the last render (from the raisebuddy:render event)
+    this._rows = [];
+    this.addEventListener("raisebuddy:render", (ev) => {
+      this._rows = ev.detail.rows;
+    });
+  }
+
+  // The RaiseCalculator instance (null until connected)
+  get calculator() {
+    return this._calculator;
+  }
+
+  // Rows of the last render (see buildRows)
+  get rows() {
+    return this._rows;
+  }
+
+  connectedCallback() {
+    if (!this._calculator) this._mount();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this._calculator || oldValue === newValue) return;
+    if (["config", "locale", "stylesheet"].includes(name)) {
+      this._mount();
+      return;
+    }
+    const input = this._input(name);
+    if (input && newValue !== null) this._setValue(input, newValue);
+    this._calculator.render();
+  }
+
+  // Re-render with the current form values
+  render() {
+    if (this._calculator) this._calculator.render();
+  }
+
+  // (Re)build the shadow DOM and its calculator
+  _mount() {
+    const RaiseCalculator =
+      typeof window !== "undefined" ? window.RaiseCalculator : null;
+    if (typeof RaiseCalculator !== "function") {
+      console.error("<raise-buddy>: js/app.js (RaiseCalculator) is not loaded");
+      return;
+    }
+
+    const root = this.shadowRoot;
+    // values typed into the current form survive the rebuild
+    const typed = this._calculator
+      ? ["salary", "days", "currency"].map((name) => [
+          name,
+          this._input(name).value,
+        ])
+      : [];
+    root.innerHTML = "";
+    const style = document.createElement("style");
+    style.textContent = RAISE_BUDDY_STYLES;
+    root.appendChild(style);
+    (this.getAttribute("stylesheet") || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((href) => {
+        const link = document.createElement("link");
+        link.rel = "stylesheet";
+        link.href = href;
+        root.appendChild(link);
+      });
+    root.appendChild(this._buildForm());
+    root.appendChild(this._buildTable());
+    typed.forEach(([name, value]) => this._setValue(this._input(name), value));
+
+    this._calculator = new RaiseCalculator({
+      root,
+      urlState: false,
+      eventTarget: this,
+      config: this._readConfig(),
+    }).init();
+  }
+
+  // Set a form control; a currency missing from the select is added first
+  _setValue(input, value) {
+    if (input.tagName === "SELECT") {
+      value = String(value).toUpperCase();
+      if (!Array.from(input.options).some((o) => o.value === value))
+        input.insertBefore(new Option(value, value), input.firstChild);
+    }
+    input.value = value;
+  }
+
+  // Form with the salary, days per week and currency inputs (plus a hidden
+  // locale select when the `locale` attribute is set)
+  _buildForm() {
+    const form = document.createElement("form");
+    form.addEventListener("submit", (ev) => ev.preventDefault());
+    const field = (text, control) => {
+      const label = document.createElement("label");
+      label.textContent = text;
+      label.appendChild(control);
+      form.appendChild(label);
+    };
+
+    const salary = document.createElement("input");
+    Object.assign(salary, {
+      id: "fullTimeYear",
+      type: "number",
+      min: "0",
+      step: "100",
+      value: this.getAttribute("salary") || "50000",
+    });
+    field("Full-time yearly salary", salary);
+
+    const days = document.createElement("input");
+    Object.assign(days, {
+      id: "days",
+      type: "number",
+      min: "1",
+      max: "5",
+      step: "0.5",
+      value: this.getAttribute("days") || "5",
+    });
+    field("Days per week", days);
+
+    field("Currency", this._buildCurrencySelect());
+
+    const locale = this.getAttribute("locale");
+    if (locale) {
+      const select = document.createElement("select");
+      select.id = "locale";
+      select.hidden = true;
+      select.appendChild(new Option(locale, locale, true, true));
+      form.appendChild(select);
+    }
+
+    const reset = document.createElement("button");
+    Object.assign(reset, {
+      id: "resetHighlights",
+      type: "button",
+      textContent: "Reset highlighted rows",
+    });
+    reset.style.display = "none";
+    form.appendChild(reset);
+    return form;
+  }
+
+  // Currency select from src/currencies.js, or just the attribute's code
+  _buildCurrencySelect() {
+    const select = document.createElement("select");
+    select.id = "currency";
+    const current = String(
+      this.getAttribute("currency") || "EUR",
+    ).toUpperCase();
+    const currencies =
+      typeof window !== "undefined" ? window.RaiseBuddyCurrencies : null;
+    const list = currencies ? currencies.listCurrencies() : [];
+    if (!list.some((c) => c.code === current)) list.unshift({ code: current });
+    list.forEach((c) => {
+      select.appendChild(
+        new Option(c.name ? `${c.code} — ${c.name}` : c.code, c.code),
+      );
+    });
+    select.value = current;
+    return select;
+  }
+
+  _buildTable() {
+    const wrap = document.createElement("div");
+    wrap.className = "table-wrap";
+    const table = document.createElement("table");
+    table.className = "table table-striped table-hover";
+    const headRow = table.createTHead().insertRow();
+    RAISE_BUDDY_COLUMNS.forEach(([className, text]) => {
+      const th = document.createElement("th");
+      if (className) th.className = className;
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    body.id = "results";
+    wrap.appendChild(table);
+    return wrap;
+  }
+
+  // Form control driven by an attribute
+  _input(name) {
+    const ids = { salary: "fullTimeYear", days: "days", currency: "currency" };
+    return ids[name] ? this.shadowRoot.getElementById(ids[name]) : null;
+  }
+
+  // `config` attribute as an object; invalid JSON is reported and ignored
+  _readConfig() {
+    const raw = this.getAttribute("config");
+    if (!raw) return {};
+    try {
+      const config = JSON.parse(raw);
+      return config && typeof config === "object" ? config : {};
+    } catch (err) {
+      console.error("<raise-buddy>: `config` is not valid JSON:", err.message);
+      return {};
+    }
+  }
+}
+
+if (typeof window !== "undefined") {
+  try {
+    window.RaiseBuddyElement = RaiseBuddyElement;
+  } catch (err) {
+    // ignore environments that disallow writing to window
+  }
+}
+if (
+  typeof customElements !== "undefined" &&
+  !customElements.get("raise-buddy")
+) {
+  customElements.define("raise-buddy", RaiseBuddyElement);
+}
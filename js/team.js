@@ -0,0 +1,690 @@
+/**
+ * raisebuddy/js/team.js
+ *
+ * TeamBudget - UI driver for raisebuddy/team.html (team merit-budget mode)
+ *
+ * Responsibilities:
+ *  - Keep a list of employees (name, full-time salary, FTE, currency, raise %), entered
+ *    in the `#team` table or imported from a CSV file (`#teamCsv`, see src/teamBudget.js)
+ *  - Offer each employee the rows of their own `buildRows` ladder; picking one sets the
+ *    raise %, which can also be typed in directly
+ *  - Show the budget (`#budgetValue` as an amount or % of payroll, in `#budgetCurrency`)
+ *    with a running total of what is used and remaining in `#teamSummary`, flagging
+ *    when the allocation goes over
+ *  - Audit pay gaps between the groups of an imported attribute column (`#equityAttribute`),
+ *    per grade, before and after the raises (`#equity`, see src/payEquity.js), and mark the
+ *    people whose raise widens a gap
+ *  - Export the allocation as CSV (`#exportTeam`)
+ *  - Remember the team and budget in localStorage so a reload keeps the work
+ *
+ * Notes:
+ *  - Like js/app.js this is a plain script. It auto-initializes on DOM ready when the page
+ *    has a `#team` table and exposes `window.TeamBudget` and `window.teamBudgetInstance`.
+ */
+
+class TeamBudget {
+  constructor(opts = {}) {
+    const {
+      team = "#team",
+      summary = "#teamSummary",
+      info = "#teamInfo",
+      budgetType = "#budgetType",
+      budgetValue = "#budgetValue",
+      budgetCurrency = "#budgetCurrency",
+      csvFile = "#teamCsv",
+      addButton = "#addEmployee",
+      exportButton = "#exportTeam",
+      equityAttribute = "#equityAttribute",
+      equity = "#equity",
+      storageKey = "raisebuddy.team",
+    } = opts;
+
+    this._els = {
+      team: this._resolveEl(team),
+      summary: this._resolveEl(summary),
+      // optional inputs (not required by _ensureElements)
+      info: this._resolveEl(info),
+      budgetType: this._resolveEl(budgetType),
+      budgetValue: this._resolveEl(budgetValue),
+      budgetCurrency: this._resolveEl(budgetCurrency),
+      csvFile: this._resolveEl(csvFile),
+      addButton: this._resolveEl(addButton),
+      exportButton: this._resolveEl(exportButton),
+      equityAttribute: this._resolveEl(equityAttribute),
+      equity: this._resolveEl(equity),
+    };
+
+    // localStorage key; falsy disables persistence
+    this._storageKey = storageKey;
+
+    // normalized employees (see src/teamBudget.js)
+    this._employees = [];
+
+    // Bind instance methods
+    this._onTableInput = this._onTableInput.bind(this);
+    this._onTableChange = this._onTableChange.bind(this);
+    this._onTableClick = this._onTableClick.bind(this);
+  }
+
+  init() {
+    this._ensureElements();
+    this._restore();
+    this._bindEvents();
+    this.render();
+    return this;
+  }
+
+  // Public render: rebuild the employee table and the summary
+  render() {
+    const body = this._els.team;
+    body.innerHTML = "";
+    this._employees.forEach((employee, index) => {
+      body.appendChild(this._buildRow(employee, index));
+    });
+    this._fillEquityAttributes();
+    this._renderSummary();
+  }
+
+  // Replace the team (e.g. after an import)
+  setEmployees(employees) {
+    const team = this._resolveTeam();
+    const currency = this._budgetCurrency();
+    this._employees = employees.map((e) => team.normalizeEmployee(e, currency));
+    this.render();
+    this._save();
+  }
+
+  // Current allocation (see allocateBudget in src/teamBudget.js)
+  getAllocation() {
+    const { budgetType, budgetValue } = this._els;
+    return this._resolveTeam().allocateBudget(this._employees, {
+      currency: this._budgetCurrency(),
+      budgetType: budgetType ? budgetType.value : "amount",
+      budgetValue: budgetValue ? Number(budgetValue.value) || 0 : 0,
+    });
+  }
+
+  // ---------- Rendering ----------
+
+  // One editable employee row: name, salary, FTE, currency, ladder, raise %,
+  // raise cost, new salary and a remove button
+  _buildRow(employee, index) {
+    const tr = document.createElement("tr");
+    tr.dataset.index = String(index);
+
+    const input = (field, attrs) => {
+      const el = document.createElement("input");
+      el.className = "form-control form-control-sm";
+      el.dataset.field = field;
+      Object.assign(el, attrs);
+      return el;
+    };
+    const cell = (child, className) => {
+      const td = document.createElement("td");
+      if (className) td.className = className;
+      if (child) td.appendChild(child);
+      tr.appendChild(td);
+      return td;
+    };
+
+    cell(input("name", { type: "text", value: employee.name }));
+    cell(
+      input("salary", {
+        type: "number",
+        min: "0",
+        step: "100",
+        value: String(employee.salary),
+      }),
+    );
+    cell(
+      input("fte", {
+        type: "number",
+        min: "0.05",
+        max: "1",
+        step: "0.05",
+        value: String(employee.fte),
+      }),
+    );
+    cell(
+      input("currency", {
+        type: "text",
+        maxLength: 3,
+        size: 3,
+        value: employee.currency,
+      }),
+    );
+
+    const ladder = document.createElement("select");
+    ladder.className = "form-select form-select-sm";
+    ladder.dataset.field = "ladder";
+    this._fillLadder(ladder, employee);
+    cell(ladder);
+
+    cell(
+      input("raisePct", {
+        type: "number",
+        min: "0",
+        max: "100",
+        step: "0.1",
+        value: String(employee.raisePct),
+      }),
+    );
+    cell(null, "team-cost");
+    cell(null, "team-new-salary");
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-sm btn-outline-danger";
+    remove.dataset.action = "remove";
+    remove.textContent = "×";
+    remove.setAttribute("aria-label", `Remove ${employee.name}`);
+    cell(remove);
+
+    return tr;
+  }
+
+  // Fill a ladder select with the employee's buildRows rows (value = raise %)
+  _fillLadder(select, employee) {
+    const { buildRows } = this._resolveLogic();
+    const rows = buildRows({
+      baseFull: employee.salary,
+      fte: employee.fte,
+      currency: employee.currency,
+    });
+    select.innerHTML = "";
+    const custom = document.createElement("option");
+    custom.value = "";
+    custom.textContent = "custom %";
+    select.appendChild(custom);
+    rows.forEach((row) => {
+      const opt = document.createElement("option");
+      opt.value = String(row.raisePct);
+      opt.textContent = `${this._formatCurrency(row.fullYearly, employee.currency)} (+${row.raisePct.toFixed(2)}%)`;
+      select.appendChild(opt);
+    });
+    this._syncLadder(select, employee);
+  }
+
+  // Select the ladder row matching the employee's raise %, else "custom %"
+  _syncLadder(select, employee) {
+    const match = Array.from(select.options).find(
+      (o) =>
+        o.value !== "" && Math.abs(Number(o.value) - employee.raisePct) < 1e-6,
+    );
+    select.value = match ? match.value : "";
+  }
+
+  // Update the computed cells of every row and the summary line
+  _renderSummary() {
+    const allocation = this.getAllocation();
+    const { currency } = allocation;
+
+    Array.from(this._els.team.querySelectorAll("tr")).forEach((tr) => {
+      const row = allocation.employees[Number(tr.dataset.index)];
+      if (!row) return;
+      const cost = tr.querySelector(".team-cost");
+      const newSalary = tr.querySelector(".team-new-salary");
+      let costText = this._formatCurrency(row.raiseCost, row.currency);
+      if (row.currency !== currency)
+        costText +=
+          row.converted === null
+            ? " (no rate)"
+            : ` (≈ ${this._formatCurrency(row.converted, currency)})`;
+      if (cost) cost.textContent = costText;
+      if (newSalary)
+        newSalary.textContent = this._formatCurrency(
+          row.newSalary,
+          row.currency,
+        );
+    });
+
+    const summary = this._els.summary;
+    const money = (v) => this._formatCurrency(v, currency);
+    const share = allocation.budget
+      ? ` (${((allocation.used / allocation.budget) * 100).toFixed(1)}%)`
+      : "";
+    summary.classList.toggle("text-danger", allocation.over);
+    summary.textContent =
+      `Budget ${money(allocation.budget)} · used ${money(allocation.used)}${share} · ` +
+      (allocation.over
+        ? `over budget by ${money(-allocation.remaining)}`
+        : `remaining ${money(allocation.remaining)}`);
+    if (allocation.missingRates.length)
+      summary.textContent += ` · no exchange rate for ${allocation.missingRates.join(", ")}`;
+
+    this._renderEquity();
+  }
+
+  // Offer the imported attributes (except the grade) as equity groupings,
+  // keeping the current choice when it is still available
+  _fillEquityAttributes() {
+    const select = this._els.equityAttribute;
+    const equity = this._resolveModule("RaiseBuddyEquity", "./payEquity");
+    if (!select || !equity) return;
+    const current = select.value;
+    const names = equity
+      .listAttributes(this._employees)
+      .filter((name) => name !== "grade");
+    select.innerHTML = "";
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = names.length ? "choose…" : "no attributes imported";
+    select.appendChild(none);
+    names.forEach((name) => {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+    select.value = names.includes(current) ? current : names[0] || "";
+  }
+
+  // Pay-gap table per grade (and for the whole team), plus a warning on the
+  // team rows whose raise widens a gap
+  _renderEquity() {
+    const { equity: body, equityAttribute } = this._els;
+    const equity = this._resolveModule("RaiseBuddyEquity", "./payEquity");
+    if (!body || !equityAttribute || !equity) return;
+
+    const attribute = equityAttribute.value;
+    const audit = attribute
+      ? equity.auditPayEquity(this._employees, {
+          attribute,
+          currency: this._budgetCurrency(),
+        })
+      : null;
+
+    Array.from(this._els.team.querySelectorAll("tr")).forEach((tr) => {
+      const hit =
+        audit &&
+        audit.widening.find((w) => w.index === Number(tr.dataset.index));
+      tr.classList.toggle("table-warning", Boolean(hit));
+      if (hit)
+        tr.title = `Raise widens the ${attribute} gap in grade ${hit.grade}`;
+      else tr.removeAttribute("title");
+    });
+
+    body.innerHTML = "";
+    if (!audit) return;
+    const money = (v) => this._formatCurrency(v, audit.currency);
+    const pct = (v) => `${v.toFixed(1)}%`;
+    const addRow = (cells, className) => {
+      const tr = document.createElement("tr");
+      if (className) tr.className = className;
+      cells.forEach((text) => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+      return tr;
+    };
+    const addSection = (title, result) => {
+      const head = addRow([title], "table-light fw-semibold");
+      head.firstChild.colSpan = 7;
+      result.groups.forEach((g) => {
+        addRow(
+          [
+            g.group === result.reference ? `${g.group} (reference)` : g.group,
+            String(g.count),
+            `${money(g.before.median)} → ${money(g.after.median)}`,
+            `${money(g.before.mean)} → ${money(g.after.mean)}`,
+            g.gap
+              ? `${pct(g.gap.before.median)} → ${pct(g.gap.after.median)}`
+              : "",
+            g.gap ? `${pct(g.gap.before.mean)} → ${pct(g.gap.after.mean)}` : "",
+            `${g.meanRaisePct.toFixed(2)}%`,
+          ],
+          g.widened ? "table-warning" : "",
+        );
+      });
+    };
+
+    audit.grades.forEach((grade) => addSection(`Grade ${grade.grade}`, grade));
+    if (audit.grades.length > 1) addSection("All grades", audit.overall);
+    if (audit.excluded.length)
+      addRow(
+        [
+          `Not included (no ${attribute} or exchange rate): ${audit.excluded.join(", ")}`,
+        ],
+        "text-muted",
+      ).firstChild.colSpan = 7;
+  }
+
+  _showInfo(message, isError = false) {
+    const { info } = this._els;
+    if (!info) return;
+    info.textContent = message;
+    info.classList.toggle("text-danger", isError);
+  }
+
+  // ---------- Events ----------
+
+  _bindEvents() {
+    const { team, budgetType, budgetValue, budgetCurrency } = this._els;
+    team.addEventListener("input", this._onTableInput);
+    team.addEventListener("change", this._onTableChange);
+    team.addEventListener("click", this._onTableClick);
+
+    [budgetType, budgetValue, budgetCurrency].filter(Boolean).forEach((el) =>
+      el.addEventListener("input", () => {
+        this._renderSummary();
+        this._save();
+      }),
+    );
+
+    if (this._els.addButton)
+      this._els.addButton.addEventListener("click", () => {
+        this._employees.push(
+          this._resolveTeam().normalizeEmployee(
+            { name: `Employee ${this._employees.length + 1}`, salary: 0 },
+            this._budgetCurrency(),
+          ),
+        );
+        this.render();
+        this._save();
+      });
+
+    if (this._els.csvFile)
+      this._els.csvFile.addEventListener("change", (e) => this._onCsvFile(e));
+
+    if (this._els.exportButton)
+      this._els.exportButton.addEventListener("click", () => this._export());
+
+    if (this._els.equityAttribute)
+      this._els.equityAttribute.addEventListener("change", () =>
+        this._renderEquity(),
+      );
+  }
+
+  // Typing updates the employee and the totals without rebuilding the row
+  // (so the focused input keeps its focus)
+  _onTableInput(ev) {
+    const field = ev.target.dataset && ev.target.dataset.field;
+    const tr = ev.target.closest("tr");
+    const employee = tr ? this._employees[Number(tr.dataset.index)] : null;
+    if (!field || !employee || field === "ladder") return;
+
+    const value = ev.target.value;
+    if (field === "name") employee.name = value;
+    else if (field === "currency") {
+      if (!/^[A-Za-z]{3}$/.test(value)) return;
+      employee.currency = value.toUpperCase();
+    } else {
+      const n = Number(value);
+      // an emptied salary keeps the last one rather than becoming 0
+      const invalid =
+        !Number.isFinite(n) ||
+        n < 0 ||
+        (field === "salary" && value.trim() === "") ||
+        (field === "fte" && !(n > 0 && n <= 1));
+      ev.target.classList.toggle("is-invalid", invalid);
+      if (invalid) return;
+      employee[field] = n;
+    }
+
+    if (field === "raisePct")
+      this._syncLadder(tr.querySelector('[data-field="ladder"]'), employee);
+    this._renderSummary();
+    this._save();
+  }
+
+  // Committed edits: a ladder pick sets the raise %, salary/FTE/currency
+  // changes rebuild that employee's ladder
+  _onTableChange(ev) {
+    const field = ev.target.dataset && ev.target.dataset.field;
+    const tr = ev.target.closest("tr");
+    const employee = tr ? this._employees[Number(tr.dataset.index)] : null;
+    if (!field || !employee) return;
+
+    if (field === "ladder") {
+      if (ev.target.value === "") return;
+      employee.raisePct = Number(ev.target.value);
+      tr.querySelector('[data-field="raisePct"]').value = String(
+        Math.round(employee.raisePct * 100) / 100,
+      );
+      this._renderSummary();
+      this._save();
+    } else if (["salary", "fte", "currency"].includes(field)) {
+      this._fillLadder(tr.querySelector('[data-field="ladder"]'), employee);
+    }
+  }
+
+  _onTableClick(ev) {
+    const btn = ev.target.closest ? ev.target.closest("[data-action]") : null;
+    if (!btn || btn.dataset.action !== "remove") return;
+    const tr = btn.closest("tr");
+    this._employees.splice(Number(tr.dataset.index), 1);
+    this.render();
+    this._save();
+  }
+
+  // Import employees from a CSV file (replaces the current team)
+  _onCsvFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const employees = this._resolveTeam().parseTeamCsv(
+          String(reader.result),
+          this._budgetCurrency(),
+        );
+        this.setEmployees(employees);
+        this._showInfo(`${employees.length} employees imported`);
+      } catch (err) {
+        this._showInfo(err.message, true);
+      }
+    };
+    reader.onerror = () => this._showInfo("Could not read the CSV file", true);
+    reader.readAsText(file);
+  }
+
+  // Download the allocation as CSV
+  _export() {
+    const csv = this._resolveModule("RaiseBuddyCsv", "./csv");
+    if (!csv) return;
+    const allocation = this.getAllocation();
+    // imported attributes go back out as their own columns
+    const attributes = Array.from(
+      new Set(this._employees.flatMap((e) => Object.keys(e.attributes || {}))),
+    );
+    const lines = [
+      [
+        "name",
+        "salary",
+        "fte",
+        "currency",
+        "raise",
+        "cost",
+        "new salary",
+      ].concat(attributes),
+    ].concat(
+      allocation.employees.map((e) =>
+        [
+          e.name,
+          e.salary,
+          e.fte,
+          e.currency,
+          e.raisePct,
+          Math.round(e.raiseCost * 100) / 100,
+          Math.round(e.newSalary * 100) / 100,
+        ].concat(attributes.map((k) => (e.attributes || {})[k] || "")),
+      ),
+    );
+    const blob = new Blob([csv.toCsv(lines)], { type: "text/csv" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "raisebuddy-team.csv";
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  // ---------- Persistence ----------
+
+  _save() {
+    if (!this._storageKey) return;
+    try {
+      const { budgetType, budgetValue } = this._els;
+      localStorage.setItem(
+        this._storageKey,
+        JSON.stringify({
+          employees: this._employees,
+          budgetType: budgetType ? budgetType.value : "amount",
+          budgetValue: budgetValue ? budgetValue.value : "",
+          currency: this._budgetCurrency(),
+        }),
+      );
+    } catch (err) {
+      // storage may be unavailable (private mode, quota): keep working in memory
+    }
+  }
+
+  _restore() {
+    if (!this._storageKey) return;
+    try {
+      const saved = JSON.parse(
+        localStorage.getItem(this._storageKey) || "null",
+      );
+      if (!saved) return;
+      const { budgetType, budgetValue, budgetCurrency } = this._els;
+      if (budgetType && saved.budgetType) budgetType.value = saved.budgetType;
+      if (budgetValue && saved.budgetValue != null)
+        budgetValue.value = saved.budgetValue;
+      if (budgetCurrency && saved.currency)
+        budgetCurrency.value = saved.currency;
+      const team = this._resolveTeam();
+      this._employees = (saved.employees || []).map((e) =>
+        team.normalizeEmployee(e, this._budgetCurrency()),
+      );
+    } catch (err) {
+      // ignore unreadable saved state
+      this._employees = [];
+    }
+  }
+
+  // ---------- Helpers ----------
+
+  _budgetCurrency() {
+    const { budgetCurrency } = this._els;
+    const code = budgetCurrency
+      ? String(budgetCurrency.value).toUpperCase()
+      : "";
+    return /^[A-Z]{3}$/.test(code) ? code : "EUR";
+  }
+
+  _resolveEl(selectorOrEl) {
+    if (!selectorOrEl) return null;
+    if (typeof selectorOrEl === "string")
+      return document.querySelector(selectorOrEl);
+    if (selectorOrEl instanceof HTMLElement) return selectorOrEl;
+    return null;
+  }
+
+  _ensureElements() {
+    const missing = [];
+    for (const k of ["team", "summary"]) {
+      if (!this._els[k]) missing.push(k);
+    }
+    if (missing.length) {
+      console.error("TeamBudget: missing elements:", missing);
+      throw new Error("Missing required elements: " + missing.join(", "));
+    }
+  }
+
+  // Resolve a src/ module (`path` relative to src/) through src/shared.js.
+  // Returns null when it is not loaded.
+  _resolveModule(globalName, path) {
+    let shared = null;
+    try {
+      if (typeof window !== "undefined" && window.RaiseBuddyShared)
+        shared = window.RaiseBuddyShared;
+    } catch (err) {
+      /* ignore */
+    }
+    try {
+      if (!shared && typeof require === "function")
+        shared = require("../src/shared");
+    } catch (err) {
+      /* ignore */
+    }
+    if (!shared) {
+      throw new Error(
+        "shared helpers not available; ensure raisebuddy/src/shared.js is loaded before js/team.js",
+      );
+    }
+    return shared.resolveModule(globalName, path);
+  }
+
+  _resolveTeam() {
+    const team = this._resolveModule("RaiseBuddyTeam", "./teamBudget");
+    if (!team) {
+      throw new Error(
+        "teamBudget helper not available; ensure raisebuddy/src/teamBudget.js is present and loadable",
+      );
+    }
+    return team;
+  }
+
+  // Returns { buildRows } from src/buildRows.js
+  _resolveLogic() {
+    const logic = this._resolveModule("RaiseBuddyLogic", "./buildRows");
+    const buildRows = logic && (logic.buildRows || logic);
+    if (typeof buildRows !== "function") {
+      throw new Error(
+        "buildRows helper not available; ensure raisebuddy/src/buildRows.js is present and loadable",
+      );
+    }
+    return { buildRows };
+  }
+
+  // Format currency via src/formatMoney.js (Intl.NumberFormat), browser locale
+  _formatCurrency(value, currency = "EUR") {
+    const format = this._resolveModule("RaiseBuddyFormat", "./formatMoney");
+    if (!format) {
+      throw new Error(
+        "formatMoney helper not available; ensure raisebuddy/src/formatMoney.js is present and loadable",
+      );
+    }
+    return format.formatMoney(value, currency);
+  }
+}
+
+/* Auto-bootstrap */
+(function () {
+  if (typeof window !== "undefined") {
+    try {
+      window.TeamBudget = TeamBudget;
+    } catch (err) {
+      // ignore environments that disallow writing to window
+    }
+  }
+
+  function bootstrap() {
+    // only on pages with a team table
+    if (!document.querySelector("#team")) return;
+    try {
+      const instance = new TeamBudget().init();
+      if (typeof window !== "undefined") window.teamBudgetInstance = instance;
+    } catch (err) {
+      console.error("TeamBudget bootstrap failed:", err);
+    }
+  }
+
+  if (typeof document !== "undefined") {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", bootstrap);
+    } else {
+      setTimeout(bootstrap, 0);
+    }
+  }
+})();
+
+// Export the constructor for CommonJS test environments (Node/jest).
+try {
+  if (typeof module !== "undefined" && module && module.exports) {
+    module.exports = TeamBudget;
+  }
+} catch (err) {
+  // ignore if module is not writable in this environment
+}
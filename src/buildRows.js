@@ -8,34 +8,108 @@
  * Each helper has a short comment describing what it returns.
  */
 
+/**
+ * Default ladder increment per currency, sized to roughly the same purchasing
+ * power as 500 EUR/USD. Currencies not listed fall back to 500.
+ */
+const DEFAULT_INCREMENTS = {
+  JPY: 50000,
+  KRW: 500000,
+  CNY: 5000,
+  HKD: 5000,
+  INR: 50000,
+  IDR: 10000000,
+  SEK: 5000,
+  NOK: 5000,
+  DKK: 5000,
+  ISK: 50000,
+  CZK: 10000,
+  HUF: 200000,
+  PLN: 2000,
+  RON: 2500,
+  TRY: 20000,
+  ZAR: 10000,
+  MXN: 10000,
+  BRL: 2500,
+  THB: 20000,
+  PHP: 25000,
+};
+
+/**
+ * Default increment for a currency code (case-insensitive).
+ * @param {string} [currency]
+ * @returns {number}
+ */
+function defaultIncrementFor(currency) {
+  const code = String(currency || "").toUpperCase();
+  return DEFAULT_INCREMENTS[code] || 500;
+}
+
 /**
  * Normalize and provide default configuration.
+ * An explicit INCREMENT_AMOUNT wins; otherwise the currency default applies.
  * @param {Object} cfg
+ * @param {string} [currency] ISO code used for the default increment
  * @returns {Object} normalized config with numeric fields
  */
-function normalizeCfg(cfg = {}) {
-  return Object.assign(
+function normalizeCfg(cfg = {}, currency) {
+  const normalized = Object.assign(
     {
-      INCREMENT_AMOUNT: 500,
       INCREMENT_STEPS: 10,
       PERCENT_STEP: 0.5 / 100,
       PERCENT_STEPS: 20,
+      PAYMENTS_PER_YEAR: 12,
+      INCLUDE_RATES: false,
+      HOURS_PER_WEEK: 40,
+      PAID_WEEKS_PER_YEAR: 52,
+      PRORATION: "month",
     },
     cfg,
   );
+  if (normalized.INCREMENT_AMOUNT == null)
+    normalized.INCREMENT_AMOUNT = defaultIncrementFor(currency);
+  return normalized;
+}
+
+/**
+ * Number of salary payments per year (12, 13, 14, ...), defaulting to 12.
+ * @param {Object} cfg normalized config
+ * @returns {number}
+ */
+function paymentsPerYear(cfg = {}) {
+  const n = Number(cfg.PAYMENTS_PER_YEAR);
+  return n > 0 ? n : 12;
+}
+
+/**
+ * Resolve the part-time ratio (FTE) from the available inputs, in order of
+ * precedence: a decimal `fte`, contractual `hours` over `fullTimeHours`, then
+ * `days` per 5-day week. The result is capped to (0, 1].
+ * @param {{ days?: number, fte?: number, hours?: number, fullTimeHours?: number }} input
+ * @returns {number}
+ */
+function resolvePartRatio({ days, fte, hours, fullTimeHours } = {}) {
+  const fteNum = Number(fte);
+  if (fteNum > 0) return Math.min(1, fteNum);
+  const hoursNum = Number(hours);
+  const refNum = Number(fullTimeHours);
+  if (hoursNum > 0 && refNum > 0) return Math.min(1, hoursNum / refNum);
+  return Math.min(1, (Number(days) || 5) / 5);
 }
 
 /**
  * Compute base derived numbers.
  * @param {number} baseFull
  * @param {number} days
+ * @param {number} [payments=12] salary payments per year
+ * @param {number} [fte] explicit part-time ratio, overrides `days` when > 0
  * @returns {{ baseFullNum: number, partRatio: number, basePart: number, baseMonthly: number }}
  */
-function computeBaseValues(baseFull, days) {
+function computeBaseValues(baseFull, days, payments = 12, fte) {
   const baseFullNum = Math.max(0, Number(baseFull) || 0);
-  const partRatio = (Number(days) || 5) / 5;
+  const partRatio = resolvePartRatio({ days, fte });
   const basePart = baseFullNum * partRatio;
-  const baseMonthly = basePart / 12;
+  const baseMonthly = basePart / payments;
   return { baseFullNum, partRatio, basePart, baseMonthly };
 }
 
@@ -82,6 +156,7 @@ function buildCandidates({
   cfg,
 }) {
   const candidates = [];
+  const payments = paymentsPerYear(cfg);
   const pushCandidate = (obj) =>
     candidates.push({
       source: obj.source || "BASE",
@@ -125,7 +200,7 @@ function buildCandidates({
 
   if (secondFull !== baseFullNum) {
     const newPart = secondFull * partRatio;
-    const newMonthly = newPart / 12;
+    const newMonthly = newPart / payments;
     const raisePct =
       baseFullNum > 0 ? ((secondFull - baseFullNum) / baseFullNum) * 100 : 0;
     const monthlyDiff = newMonthly - baseMonthly;
@@ -146,7 +221,7 @@ function buildCandidates({
   for (let i = 1; i <= cfg.PERCENT_STEPS; i++) {
     const newFull = baseFullNum * (1 + cfg.PERCENT_STEP * i);
     const newPart = newFull * partRatio;
-    const newMonthly = newPart / 12;
+    const newMonthly = newPart / payments;
     const raisePct =
       baseFullNum > 0 ? ((newFull - baseFullNum) / baseFullNum) * 100 : 0;
     const monthlyDiff = newMonthly - baseMonthly;
@@ -180,7 +255,7 @@ function buildCandidates({
     ) {
       const newFull = val;
       const newPart = newFull * partRatio;
-      const newMonthly = newPart / 12;
+      const newMonthly = newPart / payments;
       const raisePct =
         baseFullNum > 0 ? ((newFull - baseFullNum) / baseFullNum) * 100 : 0;
       const monthlyDiff = newMonthly - baseMonthly;
@@ -223,7 +298,7 @@ function buildCandidates({
     ) {
       const newPartBase = partVal;
       const impliedFull = partRatio > 0 ? newPartBase / partRatio : baseFullNum;
-      const newMonthly = newPartBase / 12;
+      const newMonthly = newPartBase / payments;
       const raisePct =
         baseFullNum > 0 ? ((impliedFull - baseFullNum) / baseFullNum) * 100 : 0;
       const monthlyDiff = newMonthly - baseMonthly;
@@ -246,16 +321,93 @@ function buildCandidates({
   return candidates;
 }
 
+/**
+ * Cell (row field) matched by each goal-seek target type.
+ */
+const TARGET_FIELDS = {
+  yearly: "fullYearly",
+  partYearly: "partYearly",
+  monthly: "monthly",
+  monthlyDiff: "monthlyDiff",
+};
+
+/**
+ * Solve a goal-seek target for the full-time yearly amount that reaches it.
+ * Returns null for unknown target types and for non-finite or negative values.
+ * @param {{ type: string, value: number }} target
+ * @param {Object} params
+ * @param {number} params.partRatio
+ * @param {number} params.baseMonthly
+ * @param {number} params.payments salary payments per year
+ * @returns {number|null}
+ */
+function solveTargetFull(target, { partRatio, baseMonthly, payments }) {
+  if (!target || !TARGET_FIELDS[target.type]) return null;
+  const value = Number(target.value);
+  if (!Number.isFinite(value) || value < 0 || !(partRatio > 0)) return null;
+
+  switch (target.type) {
+    case "yearly":
+      return value;
+    case "partYearly":
+      return value / partRatio;
+    case "monthly":
+      return (value * payments) / partRatio;
+    case "monthlyDiff":
+      return ((baseMonthly + value) * payments) / partRatio;
+  }
+  return null;
+}
+
+/**
+ * Build the goal-seek ("GOAL") candidate for a target, or null when the target
+ * cannot be solved. The candidate keeps the exact raise % that reaches the
+ * target and remembers which cell it was solved for in `targetField`.
+ * @param {Object} params
+ * @param {{ type: string, value: number }} params.target
+ * @param {number} params.baseFullNum
+ * @param {number} params.partRatio
+ * @param {number} params.baseMonthly
+ * @param {Object} params.cfg
+ * @returns {Object|null}
+ */
+function buildTargetCandidate({
+  target,
+  baseFullNum,
+  partRatio,
+  baseMonthly,
+  cfg,
+}) {
+  const payments = paymentsPerYear(cfg);
+  const newFull = solveTargetFull(target, { partRatio, baseMonthly, payments });
+  if (newFull === null || newFull < 0) return null;
+
+  const newPart = newFull * partRatio;
+  const newMonthly = newPart / payments;
+  return {
+    source: "GOAL",
+    label: "target",
+    fullYearly: newFull,
+    partYearly: newPart,
+    monthly: newMonthly,
+    raisePct:
+      baseFullNum > 0 ? ((newFull - baseFullNum) / baseFullNum) * 100 : 0,
+    monthlyDiff: newMonthly - baseMonthly,
+    yearlyDiff: newFull - baseFullNum,
+    targetField: TARGET_FIELDS[target.type],
+  };
+}
+
 /**
  * Dedupe candidates by Math.round(fullYearly) with a given priority mapping.
  * Returns a Map from roundedKey -> representative candidate
  * @param {Array<Object>} candidates
- * @param {Object} priority map (e.g., { FT: 4, PT: 3, PCT: 2, BASE: 1 })
+ * @param {Object} priority map (e.g., { GOAL: 5, FT: 4, PT: 3, PCT: 2, BASE: 1 })
  * @returns {Map<number, Object>}
  */
 function dedupeCandidatesByRoundedFull(
   candidates,
-  priority = { FT: 4, PT: 3, PCT: 2, BASE: 1 },
+  priority = { GOAL: 5, FT: 4, PT: 3, PCT: 2, BASE: 1 },
 ) {
   const rowsMap = new Map();
   candidates.forEach((c) => {
@@ -273,7 +425,8 @@ function dedupeCandidatesByRoundedFull(
 
 /**
  * Determine highlightedCells for a representative candidate given config.
- * Returns an array of strings from: 'fullYearly', 'partYearly', 'raisePct'
+ * Returns an array of strings from: 'fullYearly', 'partYearly', 'raisePct',
+ * plus 'monthly' / 'monthlyDiff' when a GOAL row was solved for them.
  * @param {Object} rep candidate
  * @param {Object} cfg
  * @returns {Array<string>}
@@ -287,6 +440,10 @@ function computeHighlightedCells(rep, cfg) {
   if (rep.source === "FT") highlighted.add("fullYearly");
   if (rep.source === "PT") highlighted.add("partYearly");
   if (rep.source === "PCT") highlighted.add("raisePct");
+  if (rep.source === "GOAL") {
+    highlighted.add("raisePct");
+    if (rep.targetField) highlighted.add(rep.targetField);
+  }
 
   // rounding-based highlights (round to increment or percent step)
   if (
@@ -322,11 +479,15 @@ function computeHighlightedCells(rep, cfg) {
 /**
  * Finalize rows array for consumption by UI/tests. Base row comes first and then
  * representative rows in ascending rounded fullYearly order (excluding baseKey).
+ * A GOAL row at baseKey (the target is today's salary) marks the base row
+ * instead: it gets the GOAL's highlights, the "current (target)" label and
+ * `reachesTarget: true`.
  *
  * Each row has:
  * {
  *   source, label,
  *   fullYearly, partYearly, monthly, raisePct, monthlyDiff, yearlyDiff,
+ *   extraPayments,   // yearly total of the payments beyond 12 (13th/14th salary)
  *   highlightedCells: Array<string>
  * }
  *
@@ -337,6 +498,7 @@ function computeHighlightedCells(rep, cfg) {
  */
 function finalizeRows(rowsMap, baseVals, cfg) {
   const finalRows = [];
+  const extraCount = Math.max(0, paymentsPerYear(cfg) - 12);
 
   const baseObj = {
     source: "BASE",
@@ -347,12 +509,19 @@ function finalizeRows(rowsMap, baseVals, cfg) {
     raisePct: 0,
     monthlyDiff: 0,
     yearlyDiff: 0,
+    extraPayments: baseVals.baseMonthly * extraCount,
     highlightedCells: [],
   };
   finalRows.push(baseObj);
 
   const keys = Array.from(rowsMap.keys()).sort((a, b) => a - b);
   const baseKey = Math.round(baseVals.baseFullNum);
+  const baseRep = rowsMap.get(baseKey);
+  if (baseRep && baseRep.source === "GOAL") {
+    baseObj.label = "current (target)";
+    baseObj.highlightedCells = computeHighlightedCells(baseRep, cfg);
+    baseObj.reachesTarget = true;
+  }
 
   for (const k of keys) {
     if (k === baseKey) continue;
@@ -370,6 +539,7 @@ function finalizeRows(rowsMap, baseVals, cfg) {
       raisePct: Number(rep.raisePct),
       monthlyDiff: Number(rep.monthlyDiff),
       yearlyDiff: Number(rep.yearlyDiff),
+      extraPayments: Number(rep.monthly) * extraCount,
       highlightedCells,
     });
   }
@@ -377,12 +547,375 @@ function finalizeRows(rowsMap, baseVals, cfg) {
   return finalRows;
 }
 
+// Shared helpers (src/shared.js): the browser global, or require() in Node
+function sharedHelpers() {
+  try {
+    if (typeof window !== "undefined" && window.RaiseBuddyShared)
+      return window.RaiseBuddyShared;
+  } catch (err) {
+    /* ignore */
+  }
+  try {
+    if (typeof require === "function") return require("./shared");
+  } catch (err) {
+    /* ignore */
+  }
+  throw new Error(
+    "shared helpers not available; ensure raisebuddy/src/shared.js is loaded before src/buildRows.js",
+  );
+}
+
+/**
+ * Resolve the gross-to-net engine (src/netSalary.js) from the browser global or
+ * via require() in Node. Returns null when it is not loaded.
+ * @returns {Object|null}
+ */
+function resolveNetEngine() {
+  return sharedHelpers().resolveModule("RaiseBuddyNet", "./netSalary");
+}
+
+/**
+ * Attach net figures to finalized rows for the given tax country.
+ * Net is computed on `partYearly` (what is actually paid); deltas are relative
+ * to the first (base) row. Each row gains:
+ * { netYearly, netMonthly, netYearlyDiff, netMonthlyDiff }
+ *
+ * Rows are returned unchanged when no country is given or it is unknown.
+ * @param {Array<Object>} rows
+ * @param {string} taxCountry
+ * @param {Object} engine object exposing `computeNet(gross, code)`
+ * @param {number} [payments=12] salary payments per year
+ * @returns {Array<Object>}
+ */
+function attachNetValues(rows, taxCountry, engine, payments = 12) {
+  if (!taxCountry || !engine || !rows.length) return rows;
+  const baseNet = engine.computeNet(rows[0].partYearly, taxCountry);
+  if (!baseNet) return rows;
+
+  return rows.map((row) => {
+    const { net } = engine.computeNet(row.partYearly, taxCountry);
+    return Object.assign({}, row, {
+      netYearly: net,
+      netMonthly: net / payments,
+      netYearlyDiff: net - baseNet.net,
+      netMonthlyDiff: (net - baseNet.net) / payments,
+    });
+  });
+}
+
+/**
+ * Resolve the employer cost engine (src/employerCost.js) from the browser global
+ * or via require() in Node. Returns null when it is not loaded.
+ * @returns {Object|null}
+ */
+function resolveEmployerCostEngine() {
+  return sharedHelpers().resolveModule(
+    "RaiseBuddyEmployerCost",
+    "./employerCost",
+  );
+}
+
+/**
+ * Attach employer cost figures to finalized rows.
+ * The cost is computed on `partYearly` (what is actually paid); the delta is
+ * relative to the first (base) row. Each row gains:
+ * { employerCostYearly, employerCostDelta }
+ *
+ * Rows are returned unchanged when no preset is given or it is unknown.
+ * @param {Array<Object>} rows
+ * @param {string|Object} preset registered code or preset object
+ * @param {Object} engine object exposing `computeEmployerCost(gross, preset)`
+ * @returns {Array<Object>}
+ */
+function attachEmployerCost(rows, preset, engine) {
+  if (!preset || !engine || !rows.length) return rows;
+  const baseCost = engine.computeEmployerCost(rows[0].partYearly, preset);
+  if (!baseCost) return rows;
+
+  return rows.map((row) => {
+    const { total } = engine.computeEmployerCost(row.partYearly, preset);
+    return Object.assign({}, row, {
+      employerCostYearly: total,
+      employerCostDelta: total - baseCost.total,
+    });
+  });
+}
+
+/**
+ * Attach variable compensation and total target compensation to finalized rows.
+ * `compensation` describes the components on top of the base salary:
+ * {
+ *   bonusPct?: number,        // target bonus in % of today's full-time base
+ *   bonusAmount?: number,     // fixed full-time target bonus
+ *   allowances?: number,      // fixed yearly allowances, not prorated
+ *   raiseAppliesTo?: "base" | "baseAndBonus"
+ * }
+ * The bonus is prorated like the base salary, allowances are paid in full.
+ * With "baseAndBonus" the row's raise % also applies to the bonus, otherwise
+ * the bonus stays at today's target. Each row gains:
+ * { bonusYearly, allowancesYearly, totalComp, totalCompFull, totalCompDiff }
+ * where bonusYearly and totalComp are what is paid (part-time), totalCompFull
+ * the full-time equivalent and totalCompDiff is relative to the first (base) row.
+ *
+ * Rows are returned unchanged when there is no bonus or allowance.
+ * @param {Array<Object>} rows
+ * @param {Object} compensation
+ * @param {Object} baseVals result of computeBaseValues
+ * @returns {Array<Object>}
+ */
+function attachCompensation(rows, compensation, baseVals) {
+  const {
+    bonusPct = 0,
+    bonusAmount = 0,
+    allowances = 0,
+    raiseAppliesTo = "base",
+  } = compensation || {};
+  const bonusBase =
+    (baseVals.baseFullNum * (Number(bonusPct) || 0)) / 100 +
+    (Number(bonusAmount) || 0);
+  const allowancesYearly = Math.max(0, Number(allowances) || 0);
+  if (!rows.length || (bonusBase <= 0 && allowancesYearly <= 0)) return rows;
+
+  const withTotals = rows.map((row) => {
+    const bonusFull =
+      raiseAppliesTo === "baseAndBonus"
+        ? bonusBase * (1 + row.raisePct / 100)
+        : bonusBase;
+    const bonusYearly = bonusFull * baseVals.partRatio;
+    return Object.assign({}, row, {
+      bonusYearly,
+      allowancesYearly,
+      totalComp: row.partYearly + bonusYearly + allowancesYearly,
+      totalCompFull: row.fullYearly + bonusFull + allowancesYearly,
+    });
+  });
+  const baseTotal = withTotals[0].totalComp;
+  return withTotals.map((row) =>
+    Object.assign(row, { totalCompDiff: row.totalComp - baseTotal }),
+  );
+}
+
+/**
+ * Attach the position of each row within a pay band ({ min, mid, max }, full-time
+ * yearly amounts, see src/payBands.js). Each row gains:
+ * - compaRatio: fullYearly / mid
+ * - rangePenetration: (fullYearly - min) / (max - min), 0 at min and 1 at max
+ * - bandStatus: "below", "within" or "above" the band
+ *
+ * Rows are returned unchanged without a band or with an empty range.
+ * @param {Array<Object>} rows
+ * @param {{ min: number, mid: number, max: number }} band
+ * @returns {Array<Object>}
+ */
+function attachBandPosition(rows, band) {
+  if (!band || !(band.mid > 0) || !(band.max > band.min)) return rows;
+  return rows.map((row) =>
+    Object.assign({}, row, {
+      compaRatio: row.fullYearly / band.mid,
+      rangePenetration: (row.fullYearly - band.min) / (band.max - band.min),
+      bandStatus:
+        row.fullYearly < band.min
+          ? "below"
+          : row.fullYearly > band.max
+            ? "above"
+            : "within",
+    }),
+  );
+}
+
+/**
+ * Tag each row against a recommended raise range ({ min, max } in percent, see
+ * src/meritMatrix.js). Each row gains `meritTag`: "below", "within" or "above".
+ *
+ * Rows are returned unchanged without a valid range.
+ * @param {Array<Object>} rows
+ * @param {{ min: number, max: number }} merit
+ * @returns {Array<Object>}
+ */
+function attachMeritTags(rows, merit) {
+  const min = Number(merit && merit.min);
+  const max = Number(merit && merit.max);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || max < min) return rows;
+  // tolerate floating-point noise on percentages computed from amounts
+  const EPS = 1e-9;
+  return rows.map((row) =>
+    Object.assign({}, row, {
+      meritTag:
+        row.raisePct < min - EPS
+          ? "below"
+          : row.raisePct > max + EPS
+            ? "above"
+            : "within",
+    }),
+  );
+}
+
+/**
+ * Attach effective hourly and daily rates to finalized rows.
+ * Rates are derived from `fullYearly`, so they are the same for full-time and
+ * part-time contracts: a day is a fifth of HOURS_PER_WEEK hours and a year has
+ * PAID_WEEKS_PER_YEAR paid weeks. Each row gains { hourlyRate, dailyRate }.
+ * @param {Array<Object>} rows
+ * @param {Object} cfg normalized config
+ * @returns {Array<Object>}
+ */
+function attachRates(rows, cfg) {
+  const hoursPerWeek = Number(cfg.HOURS_PER_WEEK) || 0;
+  const weeks = Number(cfg.PAID_WEEKS_PER_YEAR) || 0;
+  if (hoursPerWeek <= 0 || weeks <= 0) return rows;
+
+  return rows.map((row) =>
+    Object.assign({}, row, {
+      hourlyRate: row.fullYearly / (hoursPerWeek * weeks),
+      dailyRate: row.fullYearly / (5 * weeks),
+    }),
+  );
+}
+
+/**
+ * Parse a "YYYY-MM-DD" string (or a Date) into a UTC midnight Date.
+ * Returns null for anything else, including impossible dates like 2024-02-30.
+ * @param {string|Date} value
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (value instanceof Date)
+    return Number.isNaN(value.getTime())
+      ? null
+      : new Date(
+          Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()),
+        );
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ""));
+  if (!m) return null;
+  const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return date.getUTCMonth() === +m[2] - 1 ? date : null;
+}
+
+/**
+ * Share of a yearly amount paid between `start` (inclusive) and `end`
+ * (exclusive), as a number of years.
+ * - "month": whole months counted from the month of `start` to the month of `end`
+ * - "day": exact days, each day weighing 1/365 or 1/366 of its calendar year
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [mode="month"]
+ * @returns {number}
+ */
+function yearFraction(start, end, mode = "month") {
+  if (end <= start) return 0;
+  if (mode !== "day") {
+    const months = (d) => d.getUTCFullYear() * 12 + d.getUTCMonth();
+    return (months(end) - months(start)) / 12;
+  }
+  const DAY = 24 * 60 * 60 * 1000;
+  let fraction = 0;
+  for (let y = start.getUTCFullYear(); y <= end.getUTCFullYear(); y++) {
+    const yearStart = Date.UTC(y, 0, 1);
+    const yearEnd = Date.UTC(y + 1, 0, 1);
+    const from = Math.max(start.getTime(), yearStart);
+    const to = Math.min(end.getTime(), yearEnd);
+    if (to > from) fraction += (to - from) / (yearEnd - yearStart);
+  }
+  return fraction;
+}
+
+/**
+ * Amount paid between `start` and `end` when the yearly salary changes from
+ * `fromYearly` to `toYearly` on `effective` (see yearFraction for the modes).
+ * @param {number} fromYearly
+ * @param {number} toYearly
+ * @param {{ start: Date, end: Date, effective: Date, mode?: string }} period
+ * @returns {number}
+ */
+function proratePayout(fromYearly, toYearly, { start, end, effective, mode }) {
+  const switchAt = new Date(
+    Math.min(Math.max(effective.getTime(), start.getTime()), end.getTime()),
+  );
+  return (
+    fromYearly * yearFraction(start, switchAt, mode) +
+    toYearly * yearFraction(switchAt, end, mode)
+  );
+}
+
+/**
+ * Attach pro-rated payouts for a raise taking effect on `effectiveDate`.
+ * The current salary (`partYearly` of the base row) is paid until the effective
+ * date and each row's `partYearly` from then on, spread evenly over the year
+ * (extra 13th/14th payments included). Each row gains:
+ * - paidThisYear: paid in the calendar year of the effective date
+ * - paidFirst12Months: paid in the 12 months starting at `asOf`
+ *   (the effective date itself when omitted)
+ * cfg.PRORATION picks "month" (the effective month counts in full) or "day".
+ *
+ * Rows are returned unchanged when the effective date is not a valid date.
+ * @param {Array<Object>} rows
+ * @param {string|Date} effectiveDate
+ * @param {Object} cfg normalized config
+ * @param {string|Date} [asOf]
+ * @returns {Array<Object>}
+ */
+function attachPayouts(rows, effectiveDate, cfg, asOf) {
+  const effective = parseDate(effectiveDate);
+  if (!effective || !rows.length) return rows;
+  const from = parseDate(asOf) || effective;
+  const mode = cfg.PRORATION;
+  const baseYearly = rows[0].partYearly;
+  const year = effective.getUTCFullYear();
+  const thisYear = {
+    start: new Date(Date.UTC(year, 0, 1)),
+    end: new Date(Date.UTC(year + 1, 0, 1)),
+    effective,
+    mode,
+  };
+  const first12Months = {
+    start: from,
+    end: new Date(
+      Date.UTC(
+        from.getUTCFullYear() + 1,
+        from.getUTCMonth(),
+        from.getUTCDate(),
+      ),
+    ),
+    effective,
+    mode,
+  };
+
+  return rows.map((row) =>
+    Object.assign({}, row, {
+      paidThisYear: proratePayout(baseYearly, row.partYearly, thisYear),
+      paidFirst12Months: proratePayout(
+        baseYearly,
+        row.partYearly,
+        first12Months,
+      ),
+    }),
+  );
+}
+
 /**
  * Primary exported function.
  * Accepts an options object:
- * { baseFull: number, days: number, config: object }
+ * { baseFull: number, days: number, config: object, currency?: string, taxCountry?: string, netEngine?: object }
+ *
+ * `currency` only picks the default INCREMENT_AMOUNT (see defaultIncrementFor).
  *
- * Returns an array of row objects (see finalizeRows doc).
+ * Part-time can also be given as a decimal `fte` or as contractual `hours` with a
+ * `fullTimeHours` reference (see resolvePartRatio); both take precedence over `days`.
+ * With `config.INCLUDE_RATES`, rows also carry hourly/daily rates (see attachRates).
+ * A goal-seek `target` ({ type: 'yearly'|'partYearly'|'monthly'|'monthlyDiff', value })
+ * inserts a "GOAL" row with the exact raise % reaching it (see buildTargetCandidate).
+ * An `effectiveDate` ("YYYY-MM-DD", optional `asOf`) adds pro-rated payouts
+ * for the raise starting mid-year (see attachPayouts).
+ *
+ * Returns an array of row objects (see finalizeRows doc). When `taxCountry`
+ * names a registered rule set, rows also carry net figures (see attachNetValues).
+ * An `employerCost` preset (code like "DE" or a preset object) adds the
+ * employer's total cost of each row (see attachEmployerCost).
+ * A `compensation` object adds target bonus, allowances and total target
+ * compensation (see attachCompensation).
+ * A pay `band` ({ min, mid, max }) adds compa-ratio and range penetration
+ * (see attachBandPosition).
+ * A `merit` range ({ min, max } raise %) tags rows against it (see attachMeritTags).
  *
  * This function is pure (no DOM access).
  *
@@ -390,9 +923,32 @@ function finalizeRows(rowsMap, baseVals, cfg) {
  * @returns {Array<Object>}
  */
 function buildRows(opts = {}) {
-  const { baseFull = 0, days = 5, config = {} } = opts;
-  const cfg = normalizeCfg(config);
-  const baseVals = computeBaseValues(baseFull, days);
+  const {
+    baseFull = 0,
+    days = 5,
+    fte = null,
+    hours = null,
+    fullTimeHours = null,
+    config = {},
+    currency = null,
+    taxCountry = null,
+    netEngine = null,
+    target = null,
+    effectiveDate = null,
+    asOf = null,
+    employerCost = null,
+    employerCostEngine = null,
+    compensation = null,
+    band = null,
+    merit = null,
+  } = opts;
+  const cfg = normalizeCfg(config, currency);
+  const baseVals = computeBaseValues(
+    baseFull,
+    days,
+    paymentsPerYear(cfg),
+    resolvePartRatio({ days, fte, hours, fullTimeHours }),
+  );
 
   const candidates = buildCandidates({
     baseFullNum: baseVals.baseFullNum,
@@ -402,9 +958,153 @@ function buildRows(opts = {}) {
     cfg,
   });
 
+  const goal = target
+    ? buildTargetCandidate({
+        target,
+        baseFullNum: baseVals.baseFullNum,
+        partRatio: baseVals.partRatio,
+        baseMonthly: baseVals.baseMonthly,
+        cfg,
+      })
+    : null;
+  if (goal) candidates.push(goal);
+
   const rowsMap = dedupeCandidatesByRoundedFull(candidates);
-  const final = finalizeRows(rowsMap, baseVals, cfg);
-  return final;
+  let final = finalizeRows(rowsMap, baseVals, cfg);
+  if (cfg.INCLUDE_RATES) final = attachRates(final, cfg);
+  if (compensation) final = attachCompensation(final, compensation, baseVals);
+  if (band) final = attachBandPosition(final, band);
+  if (merit) final = attachMeritTags(final, merit);
+  if (effectiveDate) final = attachPayouts(final, effectiveDate, cfg, asOf);
+  if (employerCost)
+    final = attachEmployerCost(
+      final,
+      employerCost,
+      employerCostEngine || resolveEmployerCostEngine(),
+    );
+  if (!taxCountry) return final;
+  return attachNetValues(
+    final,
+    taxCountry,
+    netEngine || resolveNetEngine(),
+    paymentsPerYear(cfg),
+  );
+}
+
+/**
+ * Multi-year projection of a yearly raise compounded over `years` years.
+ * Accepts the same salary/part-time/config options as buildRows plus:
+ * { raisePct: number (percent per year, e.g. 3 for 3%), years: number }
+ *
+ * Returns one row per year, starting with year 0 (today):
+ * { year, raisePct, fullYearly, partYearly, monthly, yearlyDiff, cumulativeExtra }
+ * - raisePct: compounded raise versus today, in percent
+ * - yearlyDiff: part-time yearly amount minus today's
+ * - cumulativeExtra: sum of the yearlyDiff of years 1..year, i.e. what the
+ *   raises earned in total compared to staying at today's salary
+ *
+ * Returns an empty array when `years` is not a positive number.
+ * This function is pure (no DOM access).
+ *
+ * @param {Object} opts
+ * @returns {Array<Object>}
+ */
+function buildProjection(opts = {}) {
+  const {
+    baseFull = 0,
+    days = 5,
+    fte = null,
+    hours = null,
+    fullTimeHours = null,
+    config = {},
+    currency = null,
+    raisePct = 0,
+    years = 0,
+  } = opts;
+  const count = Math.floor(Number(years) || 0);
+  if (count < 1) return [];
+
+  const cfg = normalizeCfg(config, currency);
+  const payments = paymentsPerYear(cfg);
+  const { baseFullNum, partRatio, basePart } = computeBaseValues(
+    baseFull,
+    days,
+    payments,
+    resolvePartRatio({ days, fte, hours, fullTimeHours }),
+  );
+  const factor = 1 + (Number(raisePct) || 0) / 100;
+
+  const rows = [];
+  let cumulativeExtra = 0;
+  for (let year = 0; year <= count; year++) {
+    const growth = Math.pow(factor, year);
+    const fullYearly = baseFullNum * growth;
+    const partYearly = fullYearly * partRatio;
+    const yearlyDiff = partYearly - basePart;
+    cumulativeExtra += yearlyDiff;
+    rows.push({
+      year,
+      raisePct: (growth - 1) * 100,
+      fullYearly,
+      partYearly,
+      monthly: partYearly / payments,
+      yearlyDiff,
+      cumulativeExtra,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Retroactive back pay owed for one row when a raise agreed late applies from
+ * `effectiveDate` and is first paid with the salary of `paymentDate`'s month.
+ * Every month from the effective month up to (not including) the payment month
+ * was paid at the old salary, so it is owed the row's monthly difference:
+ * - partTime: the row's `monthlyDiff` (what is actually paid)
+ * - fullTime: the row's `yearlyDiff` spread over the payments per year
+ * A raise starting mid-month only owes the remaining days of that month.
+ * Extra 13th/14th payments are left to payroll and not included.
+ *
+ * Returns { months: [{ month: "YYYY-MM", fraction, fullTime, partTime }],
+ * totalFullTime, totalPartTime }; months is empty when the dates are invalid
+ * or the payment month is not after the effective month.
+ *
+ * @param {Object} row a finalized row (see finalizeRows)
+ * @param {{ effectiveDate: string, paymentDate: string, config?: Object }} opts
+ * @returns {{ months: Array<Object>, totalFullTime: number, totalPartTime: number }}
+ */
+function buildBackPay(row, opts = {}) {
+  const { effectiveDate = null, paymentDate = null, config = {} } = opts;
+  const result = { months: [], totalFullTime: 0, totalPartTime: 0 };
+  const effective = parseDate(effectiveDate);
+  const payment = parseDate(paymentDate);
+  if (!row || !effective || !payment) return result;
+
+  const fullMonthlyDiff =
+    (Number(row.yearlyDiff) || 0) / paymentsPerYear(normalizeCfg(config));
+  const partMonthlyDiff = Number(row.monthlyDiff) || 0;
+  const monthIndex = (d) => d.getUTCFullYear() * 12 + d.getUTCMonth();
+  const first = monthIndex(effective);
+
+  for (let i = first; i < monthIndex(payment); i++) {
+    const year = Math.floor(i / 12);
+    const month = i % 12;
+    let fraction = 1;
+    if (i === first) {
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      fraction = (daysInMonth - effective.getUTCDate() + 1) / daysInMonth;
+    }
+    const entry = {
+      month: `${year}-${String(month + 1).padStart(2, "0")}`,
+      fraction,
+      fullTime: fullMonthlyDiff * fraction,
+      partTime: partMonthlyDiff * fraction,
+    };
+    result.months.push(entry);
+    result.totalFullTime += entry.fullTime;
+    result.totalPartTime += entry.partTime;
+  }
+  return result;
 }
 
 /* Exporting strategy:
@@ -415,14 +1115,30 @@ function buildRows(opts = {}) {
  */
 const exportsObj = {
   buildRows,
+  buildProjection,
+  buildBackPay,
   helpers: {
     normalizeCfg,
+    defaultIncrementFor,
+    paymentsPerYear,
+    resolvePartRatio,
     computeBaseValues,
     roundUpToIncrement,
     buildCandidates,
+    solveTargetFull,
+    buildTargetCandidate,
     dedupeCandidatesByRoundedFull,
     computeHighlightedCells,
     finalizeRows,
+    attachNetValues,
+    attachRates,
+    attachEmployerCost,
+    attachCompensation,
+    attachBandPosition,
+    attachMeritTags,
+    parseDate,
+    yearFraction,
+    attachPayouts,
   },
 };
 
@@ -433,6 +1149,8 @@ if (typeof module !== "undefined" && module && module.exports) {
     module.exports = exportsObj.buildRows;
     // Attach helpers for tests/tools that expect them on module.exports
     module.exports.buildRows = exportsObj.buildRows;
+    module.exports.buildProjection = exportsObj.buildProjection;
+    module.exports.buildBackPay = exportsObj.buildBackPay;
     module.exports.helpers = exportsObj.helpers;
   } catch (err) {
     // ignore if module is not writable
@@ -444,11 +1162,15 @@ try {
   if (typeof window !== "undefined") {
     window.RaiseBuddyLogic = Object.assign({}, exportsObj.helpers, {
       buildRows: exportsObj.buildRows,
+      buildProjection: exportsObj.buildProjection,
+      buildBackPay: exportsObj.buildBackPay,
     });
     window.buildRows = exportsObj.buildRows;
   } else if (typeof globalThis !== "undefined") {
     globalThis.RaiseBuddyLogic = Object.assign({}, exportsObj.helpers, {
       buildRows: exportsObj.buildRows,
+      buildProjection: exportsObj.buildProjection,
+      buildBackPay: exportsObj.buildBackPay,
     });
     globalThis.buildRows = exportsObj.buildRows;
   }
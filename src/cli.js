@@ -0,0 +1,345 @@
+/**
+ * `raisebuddy` command-line tool: print raise ladders (buildRows) outside the
+ * browser, for one employee or a whole CSV of them.
+ *
+ *   raisebuddy --salary 50000 --days 4 --currency EUR
+ *   raisebuddy --csv department.csv --format csv > ladders.csv
+ *
+ * The CSV needs a header line; recognized columns (case-insensitive) are
+ * name, salary, currency and one of days, fte or hours (with full-time-hours).
+ * Options given on the command line act as defaults for empty cells.
+ *
+ * Output formats: table (aligned text, the default), json, csv and markdown.
+ * Money is formatted for the table and markdown formats only; json and csv
+ * carry plain numbers so they can be processed further. With a CSV every ladder
+ * is labelled with the employee's name (a `name` column in csv output, an
+ * array of { name, currency, rows } in json output).
+ *
+ * Node only (CommonJS); bin/raisebuddy.js is the executable wrapper.
+ */
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const { buildRows, helpers } = require("./buildRows");
+const { formatMoney } = require("./formatMoney");
+const { parseCsvObjects, toCsv } = require("./csv");
+const limits = require("./limits");
+const netEngine = require("./netSalary");
+
+const FORMATS = ["table", "json", "csv", "markdown"];
+
+const USAGE = `Usage: raisebuddy [options]
+
+Print the raise ladder for one employee, or for every employee of a CSV file.
+
+Options:
+  --salary <amount>          current full-time yearly salary
+  --days <days>              working days per week (default 5)
+  --fte <ratio>              part-time ratio, e.g. 0.8 (instead of --days)
+  --hours <hours>            contractual hours per week (instead of --days)
+  --full-time-hours <hours>  full-time hours per week, used with --hours (default 40)
+  --currency <code>          ISO 4217 currency code (default EUR)
+  --payments <n>             salary payments per year: 12, 13 or 14 (default 12)
+  --increment <amount>       ladder increment (default depends on the currency)
+  --country <code>           add net figures for a tax country (e.g. DE)
+  --locale <tag>             locale for formatted money (default: system)
+  --csv <file>               CSV of employees ("-" reads standard input)
+  --format <format>          ${FORMATS.join(", ")} (default table)
+  -h, --help                 show this help
+`;
+
+/**
+ * Error for invalid command-line input; the CLI prints its message together
+ * with a hint to --help and exits with status 2.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// Number option: undefined when not given, UsageError when not a number
+function numberOption(value, name) {
+  if (value === undefined || value === "") return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0)
+    throw new UsageError(`--${name} must be a non-negative number`);
+  return n;
+}
+
+/**
+ * Turn parsed options (or one CSV record merged over them) into buildRows
+ * options. Throws a UsageError naming the problem.
+ * @param {Object} values option values keyed by long option name
+ * @returns {Object} buildRows options
+ */
+function toBuildOptions(values) {
+  const salary = numberOption(values.salary, "salary");
+  if (salary === undefined) throw new UsageError("--salary is required");
+  if (!limits.isValidSalary(salary))
+    throw new UsageError(
+      `--salary must be above 0 and at most ${limits.MAX_SALARY}`,
+    );
+  const currency = String(values.currency || "EUR").toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency))
+    throw new UsageError("--currency must be a 3-letter code");
+
+  const config = {};
+  const payments = numberOption(values.payments, "payments");
+  if (payments !== undefined) {
+    if (![12, 13, 14].includes(payments))
+      throw new UsageError("--payments must be 12, 13 or 14");
+    config.PAYMENTS_PER_YEAR = payments;
+  }
+  const increment = numberOption(values.increment, "increment");
+  if (increment !== undefined) {
+    if (!limits.isValidLadderValue("increment", values.increment)) {
+      const [min, max] = limits.LADDER_LIMITS.increment;
+      throw new UsageError(
+        `--increment must be a whole number between ${min} and ${max}`,
+      );
+    }
+    config.INCREMENT_AMOUNT = increment;
+  }
+  // the ladder must stay small enough to print (see src/limits.js)
+  if (
+    limits.estimateRowCount(salary, helpers.normalizeCfg(config, currency)) >
+    limits.MAX_ROWS
+  )
+    throw new UsageError(
+      `the ladder would have more than ${limits.MAX_ROWS} rows; use a larger --increment`,
+    );
+
+  const days = numberOption(values.days, "days");
+  if (days !== undefined && !limits.isValidDays(days))
+    throw new UsageError("--days must be between 1 and 5, in half days");
+  const fte = numberOption(values.fte, "fte");
+  if (fte !== undefined && !(fte > 0 && fte <= 1))
+    throw new UsageError("--fte must be between 0 and 1");
+  // hours are compared with a 40-hour week unless told otherwise, as on the page
+  const refHours = numberOption(values["full-time-hours"], "full-time-hours");
+  if (refHours !== undefined && !(refHours > 0 && refHours <= 168))
+    throw new UsageError("--full-time-hours must be above 0 and at most 168");
+  const fullTimeHours = refHours === undefined ? 40 : refHours;
+  const hours = numberOption(values.hours, "hours");
+  if (hours !== undefined && !(hours > 0 && hours <= fullTimeHours))
+    throw new UsageError(
+      `--hours must be above 0 and at most the full-time hours (${fullTimeHours})`,
+    );
+
+  let taxCountry = null;
+  if (values.country) {
+    const rules = netEngine.getCountry(values.country);
+    if (!rules)
+      throw new UsageError(
+        `--country must be one of ${netEngine
+          .listCountries()
+          .map((c) => c.code)
+          .join(", ")}`,
+      );
+    taxCountry = rules.code;
+  }
+
+  return {
+    baseFull: salary,
+    days: days === undefined ? 5 : days,
+    fte: fte === undefined ? null : fte,
+    hours: hours === undefined ? null : hours,
+    fullTimeHours: hours === undefined ? null : fullTimeHours,
+    currency,
+    config,
+    taxCountry,
+  };
+}
+
+// Columns of the printed ladder: [header, row key, kind]
+function columnsFor(rows) {
+  const columns = [
+    ["Raise %", "raisePct", "pct"],
+    ["Yearly (full-time)", "fullYearly", "money"],
+    ["Yearly (part-time)", "partYearly", "money"],
+    ["Monthly", "monthly", "money"],
+    ["Yearly Δ", "yearlyDiff", "money"],
+    ["Monthly Δ", "monthlyDiff", "money"],
+  ];
+  if (rows.some((r) => r.netYearly !== undefined))
+    columns.push(
+      ["Net yearly", "netYearly", "money"],
+      ["Net monthly", "netMonthly", "money"],
+    );
+  return columns;
+}
+
+// Plain number rounded to cents, for csv output
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatCell(row, [, key, kind], currency, locale) {
+  const value = row[key];
+  if (value === undefined || value === null) return "";
+  if (kind === "pct") return `${value.toFixed(2)}%`;
+  return formatMoney(value, currency, locale);
+}
+
+// Aligned plain-text table; numbers are right-aligned like in the page
+function renderTable(header, lines) {
+  const widths = header.map((h, i) =>
+    Math.max(h.length, ...lines.map((l) => l[i].length)),
+  );
+  const fmt = (cells) =>
+    cells
+      .map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i])))
+      .join("  ")
+      .trimEnd();
+  return [fmt(header), widths.map((w) => "-".repeat(w)).join("  ")]
+    .concat(lines.map(fmt))
+    .join("\n");
+}
+
+function renderMarkdown(header, lines) {
+  const row = (cells) =>
+    `| ${cells.map((c) => c.replace(/\|/g, "\\|")).join(" | ")} |`;
+  const align = header.map((h, i) => (i === 0 ? "---" : "---:"));
+  return [row(header), row(align)].concat(lines.map(row)).join("\n");
+}
+
+/**
+ * Render ladders in one of the output formats.
+ * @param {Array<{ name: string|null, currency: string, rows: Array<Object> }>} ladders
+ * @param {string} format one of FORMATS
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function render(ladders, format, locale) {
+  if (format === "json") {
+    const data = ladders.map(({ name, currency, rows }) =>
+      Object.assign(name === null ? {} : { name }, { currency, rows }),
+    );
+    return (
+      JSON.stringify(
+        ladders.length === 1 && ladders[0].name === null ? data[0] : data,
+        null,
+        2,
+      ) + "\n"
+    );
+  }
+
+  if (format === "csv") {
+    const columns = columnsFor(ladders.flatMap((l) => l.rows));
+    const named = ladders.some((l) => l.name !== null);
+    const header = (named ? ["name"] : [])
+      .concat(["currency", "label"])
+      .concat(columns.map(([, key]) => key));
+    const lines = ladders.flatMap(({ name, currency, rows }) =>
+      rows.map((r) =>
+        (named ? [name] : [])
+          .concat([currency, r.label])
+          .concat(
+            columns.map(([, key]) =>
+              typeof r[key] === "number" ? round2(r[key]) : "",
+            ),
+          ),
+      ),
+    );
+    return toCsv([header].concat(lines));
+  }
+
+  const blocks = ladders.map(({ name, currency, rows }) => {
+    const columns = columnsFor(rows);
+    const header = ["Label"].concat(columns.map(([title]) => title));
+    const lines = rows.map((r) =>
+      [r.label].concat(columns.map((c) => formatCell(r, c, currency, locale))),
+    );
+    if (format === "markdown")
+      return (name ? `## ${name}\n\n` : "") + renderMarkdown(header, lines);
+    return (name ? `${name}\n\n` : "") + renderTable(header, lines);
+  });
+  return blocks.join("\n\n") + "\n";
+}
+
+// Read the employees of a CSV file as option objects keyed like the CLI options
+function readEmployees(text, defaults) {
+  return parseCsvObjects(text).map((record, i) => {
+    const values = Object.assign({}, defaults);
+    Object.keys(record).forEach((k) => {
+      const key = k.toLowerCase().replace(/[\s_]+/g, "-");
+      if (record[k] !== "") values[key] = record[k];
+    });
+    try {
+      return {
+        name: values.name || `Employee ${i + 1}`,
+        opts: toBuildOptions(values),
+      };
+    } catch (err) {
+      throw new UsageError(
+        `Line ${i + 2}: ${err.message.replace(/^--(\S+)/, "$1")}`,
+      );
+    }
+  });
+}
+
+/**
+ * Run the CLI.
+ * @param {Array<string>} argv arguments without the node and script paths
+ * @param {Object} [io] { stdout, stderr, readFile } for tests; defaults to the process
+ * @returns {number} exit status (0 ok, 1 error, 2 usage error)
+ */
+function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const readFile =
+    io.readFile || ((file) => fs.readFileSync(file === "-" ? 0 : file, "utf8"));
+
+  try {
+    const { values } = parseArgs({
+      args: argv,
+      options: {
+        salary: { type: "string" },
+        days: { type: "string" },
+        fte: { type: "string" },
+        hours: { type: "string" },
+        "full-time-hours": { type: "string" },
+        currency: { type: "string" },
+        payments: { type: "string" },
+        increment: { type: "string" },
+        country: { type: "string" },
+        locale: { type: "string" },
+        csv: { type: "string" },
+        format: { type: "string", default: "table" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+    if (values.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    if (!FORMATS.includes(values.format))
+      throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+
+    const { csv, format, locale } = values;
+    const employees = csv
+      ? readEmployees(readFile(csv), values)
+      : [{ name: null, opts: toBuildOptions(values) }];
+    const ladders = employees.map(({ name, opts }) => ({
+      name,
+      currency: opts.currency,
+      rows: buildRows(opts),
+    }));
+    stdout.write(render(ladders, format, locale));
+    return 0;
+  } catch (err) {
+    // parseArgs reports unknown or malformed options with ERR_PARSE_ARGS_* codes
+    const usage =
+      err instanceof UsageError ||
+      String(err.code).startsWith("ERR_PARSE_ARGS");
+    stderr.write(
+      `raisebuddy: ${err.message}\n` +
+        (usage ? "Run `raisebuddy --help` for usage.\n" : ""),
+    );
+    return usage ? 2 : 1;
+  }
+}
+
+module.exports = { run, render, toBuildOptions, UsageError, FORMATS };
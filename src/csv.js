@@ -0,0 +1,101 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180 quoting) for imports and exports.
+ *
+ * - Fields are separated by commas (or semicolons, as spreadsheet exports in
+ *   many European locales do); the separator is detected from the first line.
+ * - Quoted fields may contain separators, newlines and doubled quotes ("").
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyCsv`) and as CommonJS.
+ */
+(function () {
+  /**
+   * Parse CSV text into an array of rows (arrays of strings).
+   * Blank lines are skipped.
+   * @param {string} text
+   * @returns {Array<Array<string>>}
+   */
+  function parseCsv(text) {
+    const input = String(text || "").replace(/^\uFEFF/, "");
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const sep =
+      firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < input.length; i++) {
+      const ch = input[i];
+      if (quoted) {
+        if (ch === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === sep) {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && input[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else field += ch;
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter((r) => r.some((f) => f.trim() !== ""));
+  }
+
+  /**
+   * Parse CSV text with a header line into objects keyed by the header names
+   * (trimmed, as written).
+   * @param {string} text
+   * @returns {Array<Object<string, string>>}
+   */
+  function parseCsvObjects(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map((h) => h.trim());
+    return rows.map((r) =>
+      Object.fromEntries(keys.map((k, i) => [k, (r[i] || "").trim()])),
+    );
+  }
+
+  /**
+   * Serialize rows (arrays of values) to CSV text, quoting where needed.
+   * @param {Array<Array<*>>} rows
+   * @returns {string}
+   */
+  function toCsv(rows) {
+    const quote = (value) => {
+      const s = value == null ? "" : String(value);
+      return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return rows.map((r) => r.map(quote).join(",")).join("\n") + "\n";
+  }
+
+  const exportsObj = { parseCsv, parseCsvObjects, toCsv };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyCsv = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyCsv = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
@@ -0,0 +1,177 @@
+/**
+ * Employer-side on-costs on top of the gross salary, used by buildRows.
+ *
+ * A preset is a plain object registered under an ISO-like code:
+ * {
+ *   code: string,
+ *   name: string,
+ *   year: number,                                 // year the figures are taken from
+ *   contributions: Array<{ label, rate, floor?, ceiling? }>
+ * }
+ *
+ * Rates are fractions of the yearly gross; `floor`/`ceiling` cap the slice of
+ * gross a contribution applies to, computed like the employee side in
+ * netSalary.js (computeContribution in src/shared.js).
+ * Custom percentages (social security share, pension matching, payroll tax)
+ * become an uncapped preset through customPreset().
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyEmployerCost`) and as CommonJS.
+ */
+(function () {
+  // Shared helpers (src/shared.js, loaded first in the browser)
+  function loadShared() {
+    try {
+      if (typeof window !== "undefined" && window.RaiseBuddyShared)
+        return window.RaiseBuddyShared;
+    } catch (err) {
+      /* ignore */
+    }
+    try {
+      if (typeof require === "function") return require("./shared");
+    } catch (err) {
+      /* ignore */
+    }
+    throw new Error(
+      "shared helpers not available; ensure raisebuddy/src/shared.js is loaded before src/employerCost.js",
+    );
+  }
+  const shared = loadShared();
+
+  /* ---------- Bundled presets ---------- */
+
+  // Germany 2024: employer half of the social insurance (West ceilings, average
+  // health add-on) plus the U2 and insolvency levies.
+  const DE = {
+    code: "DE",
+    name: "Germany",
+    year: 2024,
+    contributions: [
+      { label: "pension", rate: 0.093, ceiling: 90600 },
+      { label: "unemployment", rate: 0.013, ceiling: 90600 },
+      { label: "health", rate: 0.0815, ceiling: 62100 },
+      { label: "care", rate: 0.017, ceiling: 62100 },
+      { label: "levies", rate: 0.005, ceiling: 90600 },
+    ],
+  };
+
+  // United Kingdom 2024/25: employer Class 1 National Insurance above the
+  // secondary threshold and the auto-enrolment minimum pension contribution.
+  const GB = {
+    code: "GB",
+    aliases: ["UK"],
+    name: "United Kingdom",
+    year: 2024,
+    contributions: [
+      { label: "national insurance", rate: 0.138, floor: 9100 },
+      { label: "pension", rate: 0.03, floor: 6240, ceiling: 50270 },
+    ],
+  };
+
+  // United States 2024, federal only: employer FICA and FUTA (after the state
+  // credit).
+  const US = {
+    code: "US",
+    name: "United States (federal)",
+    year: 2024,
+    contributions: [
+      { label: "social security", rate: 0.062, ceiling: 168600 },
+      { label: "medicare", rate: 0.0145 },
+      { label: "unemployment (FUTA)", rate: 0.006, ceiling: 7000 },
+    ],
+  };
+
+  const registry = shared.createRegistry("Preset", (preset) =>
+    Array.isArray(preset.contributions) ? null : "needs `contributions`",
+  );
+
+  /**
+   * Register (or replace) a preset.
+   * @param {Object} preset
+   * @returns {Object} the registered preset
+   */
+  const registerPreset = registry.register;
+
+  /**
+   * Look up a registered preset by code (case-insensitive).
+   * @param {string} code
+   * @returns {Object|null}
+   */
+  const getPreset = registry.get;
+
+  /**
+   * List the registered presets as { code, name, year } entries.
+   * @returns {Array<{ code: string, name: string, year: number }>}
+   */
+  const listPresets = registry.list;
+
+  /**
+   * Build an uncapped preset from custom rates (fractions, e.g. 0.2 for 20%).
+   * Missing or non-positive rates are left out.
+   * @param {{ socialSecurity?: number, pension?: number, payrollTax?: number }} rates
+   * @returns {Object}
+   */
+  function customPreset(rates = {}) {
+    const labels = {
+      socialSecurity: "social security",
+      pension: "pension",
+      payrollTax: "payroll tax",
+    };
+    return {
+      code: "CUSTOM",
+      name: "Custom",
+      contributions: Object.keys(labels)
+        .filter((k) => Number(rates[k]) > 0)
+        .map((k) => ({ label: labels[k], rate: Number(rates[k]) })),
+    };
+  }
+
+  /**
+   * Compute the yearly employer cost for a gross yearly amount.
+   * `preset` is a registered code or a preset object (e.g. from customPreset).
+   * Returns null when the preset is unknown.
+   * @param {number} grossYearly
+   * @param {string|Object} preset
+   * @returns {{ gross: number, onCosts: number, total: number }|null}
+   */
+  function computeEmployerCost(grossYearly, preset) {
+    const rules = typeof preset === "string" ? getPreset(preset) : preset;
+    if (!rules || !Array.isArray(rules.contributions)) return null;
+
+    const gross = Math.max(0, Number(grossYearly) || 0);
+    const onCosts = rules.contributions.reduce(
+      (sum, c) => sum + shared.computeContribution(gross, c),
+      0,
+    );
+    return { gross, onCosts, total: gross + onCosts };
+  }
+
+  [DE, GB, US].forEach(registerPreset);
+
+  const exportsObj = {
+    computeEmployerCost,
+    customPreset,
+    registerPreset,
+    getPreset,
+    listPresets,
+  };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyEmployerCost = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyEmployerCost = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
@@ -0,0 +1,149 @@
+/**
+ * Offline exchange-rate tables for the secondary-currency display.
+ *
+ * A rate table is a plain JSON-compatible object:
+ * {
+ *   base: "EUR",               // ISO code every rate is quoted against
+ *   date: "2024-12-31",        // date the rates were taken (YYYY-MM-DD)
+ *   source?: string,           // free-form description shown in the UI
+ *   rates: { USD: 1.0389, ... } // units of each currency for 1 unit of `base`
+ * }
+ *
+ * Nothing is fetched: the bundled table below ships with the page and users can
+ * load their own file through parseRateTable().
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyRates`) and as CommonJS.
+ */
+(function () {
+  // ECB euro foreign exchange reference rates
+  const DEFAULT_TABLE = {
+    base: "EUR",
+    date: "2024-12-31",
+    source: "ECB euro reference rates",
+    rates: {
+      AUD: 1.6772,
+      BGN: 1.9558,
+      BRL: 6.4253,
+      CAD: 1.4948,
+      CHF: 0.9412,
+      CNY: 7.5833,
+      CZK: 25.185,
+      DKK: 7.4578,
+      GBP: 0.82918,
+      HKD: 8.0686,
+      HUF: 411.35,
+      IDR: 16820.88,
+      ILS: 3.7876,
+      INR: 88.9335,
+      ISK: 143.9,
+      JPY: 163.06,
+      KRW: 1532.15,
+      MXN: 21.5504,
+      MYR: 4.6454,
+      NOK: 11.795,
+      NZD: 1.8532,
+      PHP: 60.195,
+      PLN: 4.275,
+      RON: 4.9743,
+      SEK: 11.459,
+      SGD: 1.4164,
+      THB: 35.676,
+      TRY: 36.7372,
+      USD: 1.0389,
+      ZAR: 19.6188,
+    },
+  };
+
+  /**
+   * Validate and normalize a rate table given as an object or a JSON string.
+   * Codes are upper-cased and the base currency is added with rate 1.
+   * Throws an Error describing the first problem found.
+   * @param {Object|string} input
+   * @returns {{ base: string, date: string, source: string, rates: Object<string, number> }}
+   */
+  function parseRateTable(input) {
+    let data = input;
+    if (typeof input === "string") {
+      try {
+        data = JSON.parse(input);
+      } catch (err) {
+        throw new Error("Rate table is not valid JSON");
+      }
+    }
+    if (!data || typeof data !== "object")
+      throw new Error("Rate table must be an object");
+
+    const base = String(data.base || "").toUpperCase();
+    if (!/^[A-Z]{3}$/.test(base))
+      throw new Error("Rate table needs a 3-letter `base` currency");
+    const date = String(data.date || "");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date))
+      throw new Error("Rate table needs a `date` in YYYY-MM-DD format");
+    if (!data.rates || typeof data.rates !== "object")
+      throw new Error("Rate table needs a `rates` object");
+
+    const rates = { [base]: 1 };
+    for (const [code, value] of Object.entries(data.rates)) {
+      const rate = Number(value);
+      if (!/^[A-Za-z]{3}$/.test(code) || !(rate > 0))
+        throw new Error(`Invalid rate for ${code}`);
+      rates[code.toUpperCase()] = rate;
+    }
+
+    return { base, date, source: String(data.source || ""), rates };
+  }
+
+  /**
+   * Cross rate to convert 1 unit of `from` into `to` using `table`.
+   * Returns null when either currency is missing from the table.
+   * @param {string} from
+   * @param {string} to
+   * @param {Object} [table=DEFAULT_TABLE]
+   * @returns {number|null}
+   */
+  function getRate(from, to, table = DEFAULT_TABLE) {
+    const a = String(from || "").toUpperCase();
+    const b = String(to || "").toUpperCase();
+    if (a && a === b) return 1;
+    const rates = Object.assign({ [table.base]: 1 }, table.rates);
+    if (!(rates[a] > 0) || !(rates[b] > 0)) return null;
+    return rates[b] / rates[a];
+  }
+
+  /**
+   * Convert an amount with an explicit rate (units of target per unit of source).
+   * @param {number} amount
+   * @param {number} rate
+   * @returns {number}
+   */
+  function convert(amount, rate) {
+    return (Number(amount) || 0) * (Number(rate) || 0);
+  }
+
+  const exportsObj = {
+    DEFAULT_TABLE: parseRateTable(DEFAULT_TABLE),
+    parseRateTable,
+    getRate,
+    convert,
+  };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyRates = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyRates = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
@@ -0,0 +1,130 @@
+/**
+ * Currency formatting built on Intl.NumberFormat.
+ *
+ * - The locale decides symbol placement, spacing and grouping
+ *   (`50.500 €` for de-DE, `£50,500` for en-GB).
+ * - Amounts are rounded to the currency's minor units (2 for EUR, 0 for JPY,
+ *   3 for KWD, ...) as listed in src/currencies.js; whole amounts are shown
+ *   without decimals.
+ * - Codes Intl cannot format fall back to `"<number> <symbol or code>"`.
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyFormat`) and as CommonJS.
+ */
+(function () {
+  // Shared helpers (src/shared.js, loaded first in the browser)
+  function loadShared() {
+    try {
+      if (typeof window !== "undefined" && window.RaiseBuddyShared)
+        return window.RaiseBuddyShared;
+    } catch (err) {
+      /* ignore */
+    }
+    try {
+      if (typeof require === "function") return require("./shared");
+    } catch (err) {
+      /* ignore */
+    }
+    throw new Error(
+      "shared helpers not available; ensure raisebuddy/src/shared.js is loaded before src/formatMoney.js",
+    );
+  }
+  const shared = loadShared();
+
+  // Formatter cache keyed by "locale|currency|digits"
+  const cache = new Map();
+
+  function getFormatter(locale, currency, digits) {
+    const key = `${locale || ""}|${currency}|${digits}`;
+    if (!cache.has(key)) {
+      const opts = { style: "currency", currency };
+      if (digits !== null) {
+        opts.minimumFractionDigits = digits;
+        opts.maximumFractionDigits = digits;
+      }
+      cache.set(key, new Intl.NumberFormat(locale || undefined, opts));
+    }
+    return cache.get(key);
+  }
+
+  // ISO 4217 metadata (src/currencies.js), or null when it is not loaded
+  function currencyMeta(code) {
+    const currencies = shared.resolveModule(
+      "RaiseBuddyCurrencies",
+      "./currencies",
+    );
+    return currencies ? currencies.getCurrency(code) : null;
+  }
+
+  /**
+   * Number of minor units (decimal digits) of a currency: the ISO 4217 value
+   * from src/currencies.js, else what Intl knows. Returns null for codes
+   * neither knows.
+   * @param {string} currency ISO 4217 code
+   * @returns {number|null}
+   */
+  function minorUnits(currency) {
+    const meta = currencyMeta(currency);
+    if (meta) return meta.minorUnits;
+    try {
+      return getFormatter("en", currency, null).resolvedOptions()
+        .maximumFractionDigits;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Format an amount of money.
+   * @param {number} value
+   * @param {string} [currency="EUR"] ISO 4217 code
+   * @param {string} [locale] BCP 47 tag; the runtime default when empty
+   * @returns {string}
+   */
+  function formatMoney(value, currency = "EUR", locale) {
+    const code = String(currency || "EUR").toUpperCase();
+    const num = Number(value) || 0;
+    const digits = minorUnits(code);
+
+    const factor = Math.pow(10, digits === null ? 0 : digits);
+    const rounded = Math.round(num * factor) / factor;
+    const shown = Number.isInteger(rounded) ? 0 : digits;
+    try {
+      return getFormatter(locale, code, shown).format(rounded);
+    } catch (err) {
+      // invalid locale tag: retry with the runtime default
+    }
+    try {
+      return getFormatter(undefined, code, shown).format(rounded);
+    } catch (err) {
+      // currency unknown to this Intl implementation
+    }
+    const meta = currencyMeta(code);
+    const fallback = rounded.toLocaleString(undefined, {
+      minimumFractionDigits: shown || 0,
+      maximumFractionDigits: shown || 0,
+    });
+    return `${fallback} ${meta ? meta.symbol : code}`;
+  }
+
+  const exportsObj = { formatMoney, minorUnits };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyFormat = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyFormat = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
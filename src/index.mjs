@@ -0,0 +1,13 @@
+/**
+ * ES module entry point for the raise-ladder logic.
+ *
+ * src/buildRows.js stays a classic script / CommonJS file so index.html can
+ * keep loading it with a <script> tag; this wrapper re-exports it for
+ * `import` users:
+ *
+ *   import buildRows, { buildProjection, helpers } from "raisebuddy";
+ */
+import logic from "./buildRows.js";
+
+export const { buildRows, buildProjection, buildBackPay, helpers } = logic;
+export default buildRows;
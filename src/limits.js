@@ -0,0 +1,112 @@
+/**
+ * Accepted input ranges, shared by the page (index.html and js/app.js), the
+ * command line (src/cli.js) and the JSON API (src/server.js) so a value
+ * rejected by one is rejected by all of them.
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyLimits`) and as CommonJS.
+ */
+(function () {
+  /**
+   * Ladder ranges: the increment in currency units (up to the largest
+   * currency default, IDR's, see DEFAULT_INCREMENTS in buildRows.js), the
+   * percent step in % and the number of percent steps.
+   */
+  const LADDER_LIMITS = {
+    increment: [1, 10000000],
+    percentStep: [0.01, 10],
+    steps: [1, 100],
+  };
+
+  // Accepted text: whole numbers, the percent step with at most two decimals
+  const LADDER_FORMATS = {
+    increment: /^\d+$/,
+    percentStep: /^\d+(\.\d{1,2})?$/,
+    steps: /^\d+$/,
+  };
+
+  /**
+   * Whether `value` (as typed or given in the URL) is an accepted ladder value.
+   * @param {"increment"|"percentStep"|"steps"} key
+   * @param {string|number} value
+   * @returns {boolean}
+   */
+  function isValidLadderValue(key, value) {
+    const text = String(value == null ? "" : value).trim();
+    const [min, max] = LADDER_LIMITS[key];
+    const n = Number(text);
+    return LADDER_FORMATS[key].test(text) && n >= min && n <= max;
+  }
+
+  // Largest full-time yearly salary, high enough for currencies such as IDR or VND
+  const MAX_SALARY = 100000000000;
+
+  // Most rows a ladder may have; bigger ones need a larger increment
+  const MAX_ROWS = 5000;
+
+  /**
+   * Whether `value` is a usable full-time yearly salary (above 0, up to MAX_SALARY).
+   * @param {string|number} value
+   * @returns {boolean}
+   */
+  function isValidSalary(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 && n <= MAX_SALARY;
+  }
+
+  /**
+   * Whether `value` is a number of working days per week: whole or half
+   * days, up to a full 5-day week.
+   * @param {string|number} value
+   * @returns {boolean}
+   */
+  function isValidDays(value) {
+    const d = Number(value);
+    return Number.isInteger(d * 2) && d >= 1 && d <= 5;
+  }
+
+  /**
+   * Upper bound of the rows buildRows builds for a salary: the base and
+   * rounded rows, the percent steps and the full-time and part-time
+   * increments up to the last percent step.
+   * @param {number} baseFull full-time yearly salary
+   * @param {Object} cfg normalized config (see normalizeCfg)
+   * @returns {number}
+   */
+  function estimateRowCount(baseFull, cfg) {
+    const span = baseFull * cfg.PERCENT_STEP * cfg.PERCENT_STEPS;
+    const increments =
+      cfg.INCREMENT_AMOUNT > 0 ? Math.ceil(span / cfg.INCREMENT_AMOUNT) : 0;
+    return 2 + cfg.PERCENT_STEPS + 2 * increments;
+  }
+
+  const exportsObj = {
+    LADDER_LIMITS,
+    LADDER_FORMATS,
+    MAX_SALARY,
+    MAX_ROWS,
+    isValidLadderValue,
+    isValidSalary,
+    isValidDays,
+    estimateRowCount,
+  };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyLimits = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyLimits = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
@@ -0,0 +1,196 @@
+/**
+ * Merit matrix: performance rating × position in range → recommended raise %.
+ *
+ * A matrix is a plain JSON-compatible object:
+ * {
+ *   positions: [                      // compa-ratio buckets, ascending
+ *     { label: "below 0.90", upTo: 0.9 },
+ *     ...
+ *     { label: "above 1.10" }         // the last bucket has no upper bound
+ *   ],
+ *   ratings: [
+ *     { rating: "3", label: "Meets", ranges: [[3, 5], [2.5, 4], ...] },
+ *     ...                             // one [min %, max %] range per position
+ *   ]
+ * }
+ *
+ * The position comes from today's compa-ratio (see attachBandPosition in
+ * buildRows.js); without a pay band the employee is assumed at the midpoint.
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyMerit`) and as CommonJS.
+ */
+(function () {
+  // A common four-quartile matrix, used until a custom one is configured
+  const DEFAULT_MATRIX = {
+    positions: [
+      { label: "below 0.90", upTo: 0.9 },
+      { label: "0.90–1.00", upTo: 1 },
+      { label: "1.00–1.10", upTo: 1.1 },
+      { label: "above 1.10" },
+    ],
+    ratings: [
+      {
+        rating: "5",
+        label: "Exceptional",
+        ranges: [
+          [7, 9],
+          [6, 8],
+          [5, 7],
+          [3, 5],
+        ],
+      },
+      {
+        rating: "4",
+        label: "Exceeds expectations",
+        ranges: [
+          [5, 7],
+          [4, 6],
+          [3, 5],
+          [2, 4],
+        ],
+      },
+      {
+        rating: "3",
+        label: "Meets expectations",
+        ranges: [
+          [3, 5],
+          [2.5, 4],
+          [2, 3],
+          [0, 2],
+        ],
+      },
+      {
+        rating: "2",
+        label: "Partially meets",
+        ranges: [
+          [1, 2],
+          [0.5, 1.5],
+          [0, 1],
+          [0, 0],
+        ],
+      },
+      {
+        rating: "1",
+        label: "Does not meet",
+        ranges: [
+          [0, 0],
+          [0, 0],
+          [0, 0],
+          [0, 0],
+        ],
+      },
+    ],
+  };
+
+  /**
+   * Validate and normalize a matrix given as an object or a JSON string.
+   * Ratings are stored as strings; the last position gets `upTo: Infinity`.
+   * Throws an Error describing the first problem found.
+   * @param {Object|string} input
+   * @returns {{ positions: Array<{ label: string, upTo: number }>, ratings: Array<Object> }}
+   */
+  function parseMatrix(input) {
+    let data = input;
+    if (typeof input === "string") {
+      try {
+        data = JSON.parse(input);
+      } catch (err) {
+        throw new Error("Merit matrix is not valid JSON");
+      }
+    }
+    if (!data || !Array.isArray(data.positions) || !data.positions.length)
+      throw new Error("Merit matrix needs a `positions` array");
+    if (!Array.isArray(data.ratings) || !data.ratings.length)
+      throw new Error("Merit matrix needs a `ratings` array");
+
+    let previous = -Infinity;
+    const positions = data.positions.map((p, i) => {
+      const last = i === data.positions.length - 1;
+      const upTo = last ? Infinity : Number(p.upTo);
+      if (!(upTo > previous))
+        throw new Error(`Position ${i + 1} needs an ascending \`upTo\``);
+      previous = upTo;
+      return { label: String(p.label || `position ${i + 1}`), upTo };
+    });
+
+    const ratings = data.ratings.map((r) => {
+      const rating = r && r.rating != null ? String(r.rating) : "";
+      if (!rating) throw new Error("Every rating needs a `rating` key");
+      if (!Array.isArray(r.ranges) || r.ranges.length !== positions.length)
+        throw new Error(`Rating ${rating} needs one range per position`);
+      const ranges = r.ranges.map((range) => {
+        const [min, max] = (Array.isArray(range) ? range : []).map(Number);
+        if (!(min >= 0 && max >= min))
+          throw new Error(`Rating ${rating} has an invalid [min, max] range`);
+        return [min, max];
+      });
+      return { rating, label: String(r.label || rating), ranges };
+    });
+
+    return { positions, ratings };
+  }
+
+  /**
+   * Ratings of a matrix as { rating, label } entries, in matrix order.
+   * @param {Object} matrix result of parseMatrix
+   * @returns {Array<{ rating: string, label: string }>}
+   */
+  function listRatings(matrix) {
+    return matrix.ratings.map((r) => ({ rating: r.rating, label: r.label }));
+  }
+
+  /**
+   * Index of the position bucket a compa-ratio falls into.
+   * @param {Object} matrix result of parseMatrix
+   * @param {number} compaRatio
+   * @returns {number}
+   */
+  function positionFor(matrix, compaRatio) {
+    const i = matrix.positions.findIndex((p) => compaRatio < p.upTo);
+    return i === -1 ? matrix.positions.length - 1 : i;
+  }
+
+  /**
+   * Recommended raise range (in percent) for a rating at a compa-ratio.
+   * Returns null for ratings the matrix does not define.
+   * @param {Object} matrix result of parseMatrix
+   * @param {string} rating
+   * @param {number} [compaRatio=1] today's compa-ratio (1 = band midpoint)
+   * @returns {{ min: number, max: number, position: string }|null}
+   */
+  function recommend(matrix, rating, compaRatio = 1) {
+    const row = matrix.ratings.find((r) => r.rating === String(rating));
+    if (!row) return null;
+    const i = positionFor(matrix, Number(compaRatio) || 1);
+    const [min, max] = row.ranges[i];
+    return { min, max, position: matrix.positions[i].label };
+  }
+
+  const exportsObj = {
+    DEFAULT_MATRIX: parseMatrix(DEFAULT_MATRIX),
+    parseMatrix,
+    listRatings,
+    positionFor,
+    recommend,
+  };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyMerit = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyMerit = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
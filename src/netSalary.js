@@ -0,0 +1,235 @@
+/**
+ * Pluggable gross-to-net engine used by buildRows.
+ *
+ * A country rule set is a plain object registered under an ISO-like code:
+ * {
+ *   code: string,
+ *   name: string,
+ *   year: number,                       // tax year the figures are taken from
+ *   contributions: Array<{ label, rate, floor?, ceiling? }>,
+ *   allowance: number | (gross, social) => number,
+ *   brackets?: Array<{ upTo: number, rate: number }>,
+ *   incomeTax?: (taxable, gross) => number
+ * }
+ *
+ * `incomeTax` wins over `brackets` when both are present, so rule sets with a
+ * formula-based tariff (Germany) can plug in without changing the engine.
+ *
+ * All figures are yearly, single filer, no children, no church tax. The goal is
+ * a realistic negotiation estimate, not a payroll-grade computation.
+ *
+ * The module body is wrapped in an IIFE: it is loaded as a classic <script> next
+ * to buildRows.js, so its top-level bindings must not leak into the shared scope.
+ */
+(function () {
+  // Shared helpers (src/shared.js, loaded first in the browser)
+  function loadShared() {
+    try {
+      if (typeof window !== "undefined" && window.RaiseBuddyShared)
+        return window.RaiseBuddyShared;
+    } catch (err) {
+      /* ignore */
+    }
+    try {
+      if (typeof require === "function") return require("./shared");
+    } catch (err) {
+      /* ignore */
+    }
+    throw new Error(
+      "shared helpers not available; ensure raisebuddy/src/shared.js is loaded before src/netSalary.js",
+    );
+  }
+  const shared = loadShared();
+
+  /**
+   * Apply progressive brackets to a taxable amount.
+   * Each bracket taxes the slice between the previous `upTo` and its own `upTo`.
+   * @param {number} taxable
+   * @param {Array<{ upTo: number, rate: number }>} brackets
+   * @returns {number}
+   */
+  function applyBrackets(taxable, brackets) {
+    let tax = 0;
+    let lower = 0;
+    for (const b of brackets) {
+      if (taxable <= lower) break;
+      const upper = Math.min(taxable, b.upTo);
+      tax += (upper - lower) * b.rate;
+      lower = b.upTo;
+    }
+    return tax;
+  }
+
+  const { computeContribution } = shared;
+
+  /* ---------- Bundled rule sets ---------- */
+
+  // Germany 2024: §32a EStG tariff, solidarity surcharge and employee social
+  // contributions (pension/unemployment West ceiling, average health add-on).
+  const DE = {
+    code: "DE",
+    name: "Germany",
+    year: 2024,
+    contributions: [
+      { label: "pension", rate: 0.093, ceiling: 90600 },
+      { label: "unemployment", rate: 0.013, ceiling: 90600 },
+      { label: "health", rate: 0.0815, ceiling: 62100 },
+      { label: "care", rate: 0.017, ceiling: 62100 },
+    ],
+    // Werbungskosten + Sonderausgaben lump sums, social contributions approximate
+    // the Vorsorgepauschale.
+    allowance: (gross, social) => 1230 + 36 + social,
+    incomeTax(taxable) {
+      const x = Math.floor(taxable);
+      let tax;
+      if (x <= 11604) tax = 0;
+      else if (x <= 17005) {
+        const y = (x - 11604) / 10000;
+        tax = (922.98 * y + 1400) * y;
+      } else if (x <= 66760) {
+        const z = (x - 17005) / 10000;
+        tax = (181.19 * z + 2397) * z + 1025.38;
+      } else if (x <= 277825) tax = 0.42 * x - 10602.13;
+      else tax = 0.45 * x - 18936.88;
+      tax = Math.floor(tax);
+
+      // Solidarity surcharge with its phase-in zone above the exemption
+      let soli = 0;
+      if (tax > 18130) soli = Math.min(tax * 0.055, (tax - 18130) * 0.119);
+      return tax + soli;
+    },
+  };
+
+  // United Kingdom 2024/25 (England): personal allowance tapered above 100k and
+  // employee Class 1 National Insurance.
+  const GB = {
+    code: "GB",
+    aliases: ["UK"],
+    name: "United Kingdom",
+    year: 2024,
+    contributions: [
+      { label: "national insurance", rate: 0.08, floor: 12570, ceiling: 50270 },
+      { label: "national insurance (upper)", rate: 0.02, floor: 50270 },
+    ],
+    allowance: (gross) => Math.max(0, 12570 - Math.max(0, gross - 100000) / 2),
+    brackets: [
+      { upTo: 37700, rate: 0.2 },
+      { upTo: 125140, rate: 0.4 },
+      { upTo: Infinity, rate: 0.45 },
+    ],
+  };
+
+  // United States 2024, federal only (single filer, standard deduction, FICA).
+  const US = {
+    code: "US",
+    name: "United States (federal)",
+    year: 2024,
+    contributions: [
+      { label: "social security", rate: 0.062, ceiling: 168600 },
+      { label: "medicare", rate: 0.0145 },
+      { label: "additional medicare", rate: 0.009, floor: 200000 },
+    ],
+    allowance: 14600,
+    brackets: [
+      { upTo: 11600, rate: 0.1 },
+      { upTo: 47150, rate: 0.12 },
+      { upTo: 100525, rate: 0.22 },
+      { upTo: 191950, rate: 0.24 },
+      { upTo: 243725, rate: 0.32 },
+      { upTo: 609350, rate: 0.35 },
+      { upTo: Infinity, rate: 0.37 },
+    ],
+  };
+
+  const registry = shared.createRegistry("Rule set", (rules) =>
+    typeof rules.incomeTax !== "function" && !Array.isArray(rules.brackets)
+      ? "needs either `incomeTax` or `brackets`"
+      : null,
+  );
+
+  /**
+   * Register (or replace) a country rule set.
+   * @param {Object} rules
+   * @returns {Object} the registered rules
+   */
+  const registerCountry = registry.register;
+
+  /**
+   * Look up a registered rule set by code (case-insensitive).
+   * @param {string} code
+   * @returns {Object|null}
+   */
+  const getCountry = registry.get;
+
+  /**
+   * List the registered rule sets as { code, name, year } entries.
+   * @returns {Array<{ code: string, name: string, year: number }>}
+   */
+  const listCountries = registry.list;
+
+  /**
+   * Compute the yearly net amount for a gross yearly amount.
+   * Returns null when the country is not registered.
+   * @param {number} grossYearly
+   * @param {string} code
+   * @returns {{ gross: number, social: number, taxable: number, incomeTax: number, net: number }|null}
+   */
+  function computeNet(grossYearly, code) {
+    const rules = getCountry(code);
+    if (!rules) return null;
+
+    const gross = Math.max(0, Number(grossYearly) || 0);
+    const social = (rules.contributions || []).reduce(
+      (sum, c) => sum + computeContribution(gross, c),
+      0,
+    );
+    const allowance =
+      typeof rules.allowance === "function"
+        ? rules.allowance(gross, social)
+        : Number(rules.allowance) || 0;
+    const taxable = Math.max(0, gross - allowance);
+    const incomeTax =
+      typeof rules.incomeTax === "function"
+        ? rules.incomeTax(taxable, gross)
+        : applyBrackets(taxable, rules.brackets);
+
+    return {
+      gross,
+      social,
+      taxable,
+      incomeTax,
+      net: gross - social - incomeTax,
+    };
+  }
+
+  [DE, GB, US].forEach(registerCountry);
+
+  const exportsObj = {
+    computeNet,
+    registerCountry,
+    getCountry,
+    listCountries,
+    applyBrackets,
+    computeContribution,
+  };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyNet = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyNet = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
@@ -0,0 +1,100 @@
+/**
+ * Company pay bands (salary ranges per grade and currency).
+ *
+ * A band file is a plain JSON-compatible object:
+ * {
+ *   name?: string,                  // free-form description shown in the UI
+ *   bands: [
+ *     { grade: "L3", currency: "EUR", min: 52000, mid: 60000, max: 68000 },
+ *     ...
+ *   ]
+ * }
+ * A bare array of bands is accepted as well. Amounts are full-time yearly.
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyBands`) and as CommonJS.
+ */
+(function () {
+  /**
+   * Validate and normalize a band file given as an object or a JSON string.
+   * Currency codes are upper-cased. Throws an Error describing the first
+   * problem found.
+   * @param {Object|Array|string} input
+   * @returns {{ name: string, bands: Array<{ grade: string, currency: string, min: number, mid: number, max: number }> }}
+   */
+  function parseBands(input) {
+    let data = input;
+    if (typeof input === "string") {
+      try {
+        data = JSON.parse(input);
+      } catch (err) {
+        throw new Error("Band file is not valid JSON");
+      }
+    }
+    if (Array.isArray(data)) data = { bands: data };
+    if (!data || !Array.isArray(data.bands))
+      throw new Error("Band file needs a `bands` array");
+
+    const bands = data.bands.map((b, i) => {
+      const grade = b && b.grade != null ? String(b.grade).trim() : "";
+      if (!grade) throw new Error(`Band ${i + 1} needs a \`grade\``);
+      const currency = String(b.currency || "").toUpperCase();
+      if (!/^[A-Z]{3}$/.test(currency))
+        throw new Error(`Band ${grade} needs a 3-letter \`currency\``);
+      const [min, max] = [Number(b.min), Number(b.max)];
+      // mid defaults to the midpoint of the range
+      const mid = b.mid == null ? (min + max) / 2 : Number(b.mid);
+      if (!(min >= 0 && min <= mid && mid <= max && min < max))
+        throw new Error(`Band ${grade} needs 0 <= min <= mid <= max`);
+      return { grade, currency, min, mid, max };
+    });
+
+    return { name: String(data.name || ""), bands };
+  }
+
+  /**
+   * Grades defined for a currency, in file order.
+   * @param {{ bands: Array<Object> }} file result of parseBands
+   * @param {string} currency
+   * @returns {Array<string>}
+   */
+  function listGrades(file, currency) {
+    const code = String(currency || "").toUpperCase();
+    return file.bands.filter((b) => b.currency === code).map((b) => b.grade);
+  }
+
+  /**
+   * Band of a grade in a currency, or null when the file has none.
+   * @param {{ bands: Array<Object> }} file result of parseBands
+   * @param {string} grade
+   * @param {string} currency
+   * @returns {Object|null}
+   */
+  function findBand(file, grade, currency) {
+    const code = String(currency || "").toUpperCase();
+    return (
+      file.bands.find((b) => b.grade === grade && b.currency === code) || null
+    );
+  }
+
+  const exportsObj = { parseBands, listGrades, findBand };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyBands = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyBands = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
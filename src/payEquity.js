@@ -0,0 +1,244 @@
+/**
+ * Pay-equity audit: pay gaps between groups of a team, before and after the
+ * proposed raises.
+ *
+ * Employees are the normalized objects of src/teamBudget.js. Groups come from
+ * one attribute column (e.g. "gender"); comparisons are made within each grade
+ * (the "grade" attribute by default) and across the whole team. Salaries are
+ * compared full-time (so part-time employees are not counted as underpaid),
+ * converted to one currency.
+ *
+ * In every grade the group with the highest mean salary before the raises is
+ * the reference; the gap of another group is how far its pay falls below the
+ * reference, in percent of the reference: (reference - group) / reference × 100.
+ *
+ * Everything runs on the data passed in; nothing is sent anywhere.
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyEquity`) and as CommonJS.
+ */
+(function () {
+  // Shared helpers (src/shared.js, loaded first in the browser)
+  function loadShared() {
+    try {
+      if (typeof window !== "undefined" && window.RaiseBuddyShared)
+        return window.RaiseBuddyShared;
+    } catch (err) {
+      /* ignore */
+    }
+    try {
+      if (typeof require === "function") return require("./shared");
+    } catch (err) {
+      /* ignore */
+    }
+    throw new Error(
+      "shared helpers not available; ensure raisebuddy/src/shared.js is loaded before src/payEquity.js",
+    );
+  }
+  const shared = loadShared();
+  const { resolveModule } = shared;
+
+  function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[mid]
+      : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  // Gap of `value` below `reference`, in percent of the reference
+  function gapPct(reference, value) {
+    return reference ? ((reference - value) / reference) * 100 : 0;
+  }
+
+  /**
+   * Attribute names found on the employees, sorted.
+   * @param {Array<Object>} employees
+   * @returns {Array<string>}
+   */
+  function listAttributes(employees) {
+    const keys = new Set();
+    employees.forEach((e) =>
+      Object.keys(e.attributes || {}).forEach((k) => keys.add(k)),
+    );
+    return Array.from(keys).sort();
+  }
+
+  // Compare the groups of one set of people (one grade or the whole team)
+  function compareGroups(people) {
+    const byGroup = new Map();
+    people.forEach((p) => {
+      if (!byGroup.has(p.group)) byGroup.set(p.group, []);
+      byGroup.get(p.group).push(p);
+    });
+
+    const groups = Array.from(byGroup.keys())
+      .sort()
+      .map((group) => {
+        const members = byGroup.get(group);
+        const before = members.map((p) => p.before);
+        const after = members.map((p) => p.after);
+        return {
+          group,
+          count: members.length,
+          before: { median: median(before), mean: mean(before) },
+          after: { median: median(after), mean: mean(after) },
+          meanRaisePct: mean(members.map((p) => p.raisePct)),
+        };
+      });
+
+    const reference = groups.reduce(
+      (best, g) => (!best || g.before.mean > best.before.mean ? g : best),
+      null,
+    );
+    groups.forEach((g) => {
+      if (g === reference) {
+        g.gap = null;
+        g.widened = false;
+        return;
+      }
+      g.gap = {
+        before: {
+          median: gapPct(reference.before.median, g.before.median),
+          mean: gapPct(reference.before.mean, g.before.mean),
+        },
+        after: {
+          median: gapPct(reference.after.median, g.after.median),
+          mean: gapPct(reference.after.mean, g.after.mean),
+        },
+      };
+      g.widened =
+        Math.abs(g.gap.after.mean) > Math.abs(g.gap.before.mean) + 1e-9;
+    });
+
+    return { reference: reference ? reference.group : null, groups };
+  }
+
+  /**
+   * Audit pay gaps between the groups of `attribute`.
+   * opts:
+   * {
+   *   attribute: string,              // attribute defining the groups
+   *   gradeAttribute?: string,        // defaults to "grade"; missing = one grade
+   *   currency?: string,              // comparison currency, defaults to "EUR"
+   *   rateTable?: Object              // defaults to the bundled rate table
+   * }
+   *
+   * Returns:
+   * {
+   *   attribute, currency,
+   *   grades: [{ grade, reference, groups }],  // per grade, sorted
+   *   overall: { reference, groups },          // whole team
+   *   widening: [{ index, name, grade, group, raisePct }], // index into employees
+   *   excluded: [name]                         // no group value or no rate
+   * }
+   * where each group is { group, count, before: { median, mean },
+   * after: { median, mean }, meanRaisePct, gap, widened } and `gap` holds the
+   * median and mean gaps (in %) before and after, null for the reference.
+   *
+   * A gap widens when its mean gap grows in size. Within such a grade, a person
+   * widens it when they are in the reference group with a raise above the
+   * group's mean raise %, or in the trailing group with a raise below the
+   * reference's mean raise %.
+   *
+   * @param {Array<Object>} employees normalized employees (src/teamBudget.js)
+   * @param {Object} opts
+   * @returns {Object}
+   */
+  function auditPayEquity(employees, opts = {}) {
+    const {
+      attribute,
+      gradeAttribute = "grade",
+      currency = "EUR",
+      rateTable = null,
+    } = opts;
+    const fx = resolveModule("RaiseBuddyRates", "./exchangeRates");
+    const rateFor = (code) =>
+      fx
+        ? fx.getRate(code, currency, rateTable || fx.DEFAULT_TABLE)
+        : code === currency
+          ? 1
+          : null;
+
+    const excluded = [];
+    const people = [];
+    employees.forEach((e, index) => {
+      const attributes = e.attributes || {};
+      const group = String(attributes[attribute] || "").trim();
+      const rate = rateFor(e.currency);
+      if (!group || rate === null) {
+        excluded.push(e.name);
+        return;
+      }
+      people.push({
+        index,
+        name: e.name,
+        group,
+        grade: String(attributes[gradeAttribute] || "").trim() || "All",
+        raisePct: e.raisePct,
+        before: e.salary * rate,
+        after: e.salary * (1 + e.raisePct / 100) * rate,
+      });
+    });
+
+    const gradeNames = Array.from(new Set(people.map((p) => p.grade))).sort();
+    const widening = [];
+    const grades = gradeNames.map((grade) => {
+      const members = people.filter((p) => p.grade === grade);
+      const result = compareGroups(members);
+      const ref = result.groups.find((g) => g.group === result.reference);
+      result.groups
+        .filter((g) => g.widened)
+        .forEach((g) => {
+          members.forEach((p) => {
+            const widens =
+              (p.group === ref.group && p.raisePct > g.meanRaisePct) ||
+              (p.group === g.group && p.raisePct < ref.meanRaisePct);
+            if (widens && !widening.some((w) => w.index === p.index))
+              widening.push({
+                index: p.index,
+                name: p.name,
+                grade,
+                group: p.group,
+                raisePct: p.raisePct,
+              });
+          });
+        });
+      return Object.assign({ grade }, result);
+    });
+
+    return {
+      attribute,
+      currency,
+      grades,
+      overall: compareGroups(people),
+      widening,
+      excluded,
+    };
+  }
+
+  const exportsObj = { listAttributes, auditPayEquity, median, mean };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyEquity = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyEquity = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
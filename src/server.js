@@ -0,0 +1,499 @@
+/**
+ * Local HTTP JSON API around buildRows, for services that want the raise
+ * ladder without the page.
+ *
+ *   GET  /rows?salary=50000&days=4&currency=EUR   → { rows: [...] }
+ *   GET  /projection?salary=...&projection-pct=3&projection-years=5
+ *                                                 → { projection: [...] }
+ *   GET  /helpers                                 → { helpers: [name, ...] }
+ *   POST /helpers/<name>  { "args": [...] }       → { result }
+ *   GET  /schema/row                              → JSON schema of a row
+ *
+ * Query parameters use the names of the page URL (see readParamsAndApply in
+ * index.html) and are validated against the same rules (src/limits.js); `days` is accepted as
+ * a short form of `days-per-week`, and `as-of` (YYYY-MM-DD) sets the start of
+ * the payout window (today when it is missing, as on the page). Unknown parameters are
+ * ignored, as on the page. Ladders of more than MAX_ROWS rows are refused.
+ *
+ * The helpers are the pure functions of `buildRows.helpers`, except
+ * buildCandidates: its ladder size depends on an unchecked config, so ladders
+ * go through GET /rows.
+ *
+ * Errors are JSON too: { error: { code, message, details? } } where `details`
+ * lists the invalid parameters as { param, message }.
+ *
+ * Run with `node src/server.js` (PORT and HOST from the environment, default
+ * 127.0.0.1:3000). Node only (CommonJS).
+ */
+const http = require("http");
+const path = require("path");
+
+const logic = require("./buildRows");
+const currencies = require("./currencies");
+const employerCostEngine = require("./employerCost");
+const limits = require("./limits");
+
+const ROW_SCHEMA = require(
+  path.join(__dirname, "..", "schema", "row.schema.json"),
+);
+
+// Accepted values, as in the page's inline script (ladder ranges in src/limits.js)
+const ALLOWED_TARGET_TYPES = ["monthly", "yearly", "partYearly", "monthlyDiff"];
+const ALLOWED_PAYMENTS = [12, 13, 14];
+const ALLOWED_TAX_COUNTRIES = ["DE", "GB", "US"];
+const COUNTRY_ALIASES = { UK: "GB" };
+const ALLOWED_EMPLOYER_COSTS = ["DE", "GB", "US", "custom"];
+const COMPENSATION_FIELDS = [
+  ["bonusPct", "bonus-pct", 1000],
+  ["bonusAmount", "bonus", 100000000],
+  ["allowances", "allowances", 100000000],
+];
+const EMPLOYER_FIELDS = [
+  ["socialSecurity", "employer-social"],
+  ["pension", "employer-pension"],
+  ["payrollTax", "employer-payroll-tax"],
+];
+
+// Helpers callable through POST /helpers/<name> (see the notes above)
+const HELPERS = Object.fromEntries(
+  Object.entries(logic.helpers).filter(([name]) => name !== "buildCandidates"),
+);
+
+// Largest accepted request body (helper arguments), in bytes
+const MAX_BODY = 1024 * 1024;
+
+/**
+ * Error answered as JSON with an HTTP status.
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// "YYYY-MM-DD" naming a real calendar day
+function isValidDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ""));
+  if (!m) return false;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+}
+
+/**
+ * Validate ladder query parameters and turn them into buildRows options.
+ * Returns { opts, errors } where `errors` lists every invalid parameter as
+ * { param, message }; `opts` is only meaningful when `errors` is empty.
+ * @param {URLSearchParams} params
+ * @returns {{ opts: Object, errors: Array<{ param: string, message: string }> }}
+ */
+function readRowParams(params) {
+  const errors = [];
+  const fail = (param, message) => errors.push({ param, message });
+  const get = (name) => params.get(name);
+  const config = {};
+  const opts = { config };
+
+  const salary = get("salary");
+  if (salary === null) fail("salary", "is required");
+  else if (!/^\d+$/.test(salary) || !limits.isValidSalary(salary))
+    fail(
+      "salary",
+      `must be a positive whole number up to ${limits.MAX_SALARY}`,
+    );
+  else opts.baseFull = Number(salary);
+
+  const currency = get("currency");
+  if (currency !== null) {
+    const c = String(currency).toUpperCase();
+    if (!currencies.isCurrencyCode(c))
+      fail("currency", "must be an ISO 4217 currency code");
+    else opts.currency = c;
+  }
+
+  const daysName = get("days-per-week") !== null ? "days-per-week" : "days";
+  const days = get(daysName);
+  if (days !== null) {
+    if (!limits.isValidDays(days))
+      fail(daysName, "must be between 1 and 5, in half days");
+    else opts.days = Number(days);
+  }
+
+  const refHours = get("full-time-hours");
+  if (refHours !== null) {
+    const r = Number(refHours);
+    if (!Number.isFinite(r) || r <= 0 || r > 168)
+      fail("full-time-hours", "must be between 0 and 168");
+    else opts.fullTimeHours = r;
+  }
+  const hours = get("hours");
+  if (hours !== null) {
+    const h = Number(hours);
+    const r = refHours !== null ? Number(refHours) : 40;
+    if (!Number.isFinite(h) || h <= 0 || h > r)
+      fail("hours", "must be positive and at most the full-time hours");
+    else {
+      opts.hours = h;
+      // without full-time-hours the hours are read against a 40-hour week
+      opts.fullTimeHours = r;
+    }
+  }
+
+  const fte = get("fte");
+  if (fte !== null) {
+    const f = Number(fte);
+    if (!Number.isFinite(f) || f <= 0 || f > 1)
+      fail("fte", "must be between 0 and 1");
+    else opts.fte = f;
+  }
+
+  const payments = get("payments-per-year");
+  if (payments !== null) {
+    if (!ALLOWED_PAYMENTS.includes(Number(payments)))
+      fail(
+        "payments-per-year",
+        `must be one of ${ALLOWED_PAYMENTS.join(", ")}`,
+      );
+    else config.PAYMENTS_PER_YEAR = Number(payments);
+  }
+
+  const rates = get("rates");
+  if (rates !== null) {
+    if (rates !== "1") fail("rates", 'must be "1"');
+    else config.INCLUDE_RATES = true;
+  }
+  const hoursPerWeek = get("hours-per-week");
+  if (hoursPerWeek !== null) {
+    const h = Number(hoursPerWeek);
+    if (!Number.isFinite(h) || h <= 0 || h > 168)
+      fail("hours-per-week", "must be between 0 and 168");
+    else config.HOURS_PER_WEEK = h;
+  }
+  const paidWeeks = get("paid-weeks");
+  if (paidWeeks !== null) {
+    const w = Number(paidWeeks);
+    if (!Number.isInteger(w) || w < 1 || w > 53)
+      fail("paid-weeks", "must be a whole number between 1 and 53");
+    else config.PAID_WEEKS_PER_YEAR = w;
+  }
+
+  const { LADDER_LIMITS, isValidLadderValue } = limits;
+  const increment = get("increment");
+  if (increment !== null) {
+    const [min, max] = LADDER_LIMITS.increment;
+    if (!isValidLadderValue("increment", increment))
+      fail("increment", `must be a whole number between ${min} and ${max}`);
+    else config.INCREMENT_AMOUNT = Number(increment);
+  }
+  // percent step is given in %, with at most two decimals
+  const percentStep = get("percent-step");
+  if (percentStep !== null) {
+    const [min, max] = LADDER_LIMITS.percentStep;
+    if (!isValidLadderValue("percentStep", percentStep))
+      fail("percent-step", `must be between ${min} and ${max}`);
+    else config.PERCENT_STEP = Number(percentStep) / 100;
+  }
+  const percentSteps = get("percent-steps");
+  if (percentSteps !== null) {
+    const [min, max] = LADDER_LIMITS.steps;
+    if (!isValidLadderValue("steps", percentSteps))
+      fail("percent-steps", `must be a whole number between ${min} and ${max}`);
+    else config.PERCENT_STEPS = Number(percentSteps);
+  }
+
+  // goal-seek target: both params are required together
+  const targetType = get("target-type");
+  const target = get("target");
+  if (targetType !== null || target !== null) {
+    const v = Number(target);
+    if (!ALLOWED_TARGET_TYPES.includes(targetType))
+      fail("target-type", `must be one of ${ALLOWED_TARGET_TYPES.join(", ")}`);
+    else if (target === null || !Number.isFinite(v) || v <= 0)
+      fail("target", "must be a positive number");
+    else opts.target = { type: targetType, value: v };
+  }
+
+  const effectiveDate = get("effective-date");
+  if (effectiveDate !== null) {
+    if (!isValidDate(effectiveDate))
+      fail("effective-date", "must be a date (YYYY-MM-DD)");
+    else opts.effectiveDate = effectiveDate;
+  }
+  const proration = get("proration");
+  if (proration !== null) {
+    if (proration !== "day" || effectiveDate === null)
+      fail("proration", 'must be "day", together with effective-date');
+    else config.PRORATION = "day";
+  }
+  const asOf = get("as-of");
+  if (asOf !== null) {
+    if (!isValidDate(asOf)) fail("as-of", "must be a date (YYYY-MM-DD)");
+    else opts.asOf = asOf;
+  }
+
+  const compensation = { raiseAppliesTo: "base" };
+  COMPENSATION_FIELDS.forEach(([key, param, max]) => {
+    const value = get(param);
+    if (value === null) return;
+    const v = Number(value);
+    if (!(v > 0 && v <= max)) fail(param, `must be between 0 and ${max}`);
+    else {
+      compensation[key] = v;
+      opts.compensation = compensation;
+    }
+  });
+  const raiseAppliesTo = get("raise-applies-to");
+  if (raiseAppliesTo !== null) {
+    if (raiseAppliesTo !== "base-and-bonus")
+      fail("raise-applies-to", 'must be "base-and-bonus"');
+    else compensation.raiseAppliesTo = "baseAndBonus";
+  }
+
+  const meritMin = get("merit-min");
+  const meritMax = get("merit-max");
+  if (meritMin !== null || meritMax !== null) {
+    const min = Number(meritMin);
+    const max = Number(meritMax);
+    if (
+      meritMin === null ||
+      meritMax === null ||
+      !(min >= 0 && max >= min && max <= 100)
+    )
+      fail("merit-min", "merit-min and merit-max need 0 ≤ min ≤ max ≤ 100");
+    else opts.merit = { min, max };
+  }
+
+  const employer = COUNTRY_ALIASES[get("employer")] || get("employer");
+  if (employer !== null && !ALLOWED_EMPLOYER_COSTS.includes(employer))
+    fail("employer", `must be one of ${ALLOWED_EMPLOYER_COSTS.join(", ")}`);
+  else if (employer !== null && employer !== "custom")
+    opts.employerCost = employer;
+  const customRates = {};
+  EMPLOYER_FIELDS.forEach(([key, param]) => {
+    const value = get(param);
+    if (value === null) return;
+    const v = Number(value);
+    if (employer !== "custom" || !(v >= 0 && v <= 100))
+      fail(param, 'must be between 0 and 100, with employer "custom"');
+    // the params take percentages, the preset fractions
+    else customRates[key] = v / 100;
+  });
+  if (employer === "custom")
+    opts.employerCost = employerCostEngine.customPreset(customRates);
+
+  const tax = get("tax");
+  if (tax !== null) {
+    const t =
+      COUNTRY_ALIASES[String(tax).toUpperCase()] || String(tax).toUpperCase();
+    if (!ALLOWED_TAX_COUNTRIES.includes(t))
+      fail("tax", `must be one of ${ALLOWED_TAX_COUNTRIES.join(", ")}`);
+    else opts.taxCountry = t;
+  }
+
+  // keep the ladder small enough to build and answer (see src/limits.js)
+  if (
+    !errors.length &&
+    limits.estimateRowCount(
+      opts.baseFull,
+      logic.helpers.normalizeCfg(config, opts.currency),
+    ) > limits.MAX_ROWS
+  )
+    fail(
+      increment !== null ? "increment" : "salary",
+      `gives more than ${limits.MAX_ROWS} rows; use a larger increment`,
+    );
+
+  return { opts, errors };
+}
+
+// Ladder options or an ApiError listing the invalid parameters
+function rowOptions(params) {
+  const { opts, errors } = readRowParams(params);
+  if (errors.length)
+    throw new ApiError(
+      400,
+      "invalid_params",
+      "Invalid query parameters",
+      errors,
+    );
+  return opts;
+}
+
+function projectionOptions(params) {
+  const opts = rowOptions(params);
+  const errors = [];
+  const pct = Number(params.get("projection-pct"));
+  if (!Number.isFinite(pct) || pct <= 0 || pct > 100)
+    errors.push({
+      param: "projection-pct",
+      message: "must be between 0 and 100",
+    });
+  const years = Number(params.get("projection-years"));
+  if (!Number.isInteger(years) || years < 1 || years > 50)
+    errors.push({
+      param: "projection-years",
+      message: "must be a whole number between 1 and 50",
+    });
+  if (errors.length)
+    throw new ApiError(
+      400,
+      "invalid_params",
+      "Invalid query parameters",
+      errors,
+    );
+  return Object.assign(opts, { raisePct: pct, years });
+}
+
+// JSON-friendly value: Maps (e.g. from dedupeCandidatesByRoundedFull) become
+// arrays of [key, value] entries, Sets arrays
+function toJson(value) {
+  return JSON.stringify(value, (key, v) =>
+    v instanceof Map
+      ? Array.from(v.entries())
+      : v instanceof Set
+        ? Array.from(v)
+        : v,
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(
+          new ApiError(413, "body_too_large", "Request body is too large"),
+        );
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Call one of HELPERS with the JSON body's `args`
+async function callHelper(name, req) {
+  const helper = Object.prototype.hasOwnProperty.call(HELPERS, name)
+    ? HELPERS[name]
+    : null;
+  if (!helper)
+    throw new ApiError(404, "unknown_helper", `Unknown helper: ${name}`);
+  let body;
+  try {
+    body = JSON.parse((await readBody(req)) || "{}");
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    throw new ApiError(400, "invalid_json", "Request body is not valid JSON");
+  }
+  const args = body && body.args === undefined ? [] : body && body.args;
+  if (!Array.isArray(args))
+    throw new ApiError(400, "invalid_args", "`args` must be an array");
+  try {
+    return { result: helper(...args) };
+  } catch (err) {
+    throw new ApiError(400, "helper_failed", err.message);
+  }
+}
+
+// Route one request; resolves to [status, body]
+async function route(req, url) {
+  const { pathname, searchParams } = url;
+  const helperMatch = /^\/helpers\/([A-Za-z]+)$/.exec(pathname);
+  const method = req.method;
+  const allow = (methods) => {
+    if (!methods.includes(method))
+      throw new ApiError(
+        405,
+        "method_not_allowed",
+        `Use ${methods.join(" or ")}`,
+      );
+  };
+
+  if (pathname === "/rows") {
+    allow(["GET"]);
+    return [200, { rows: logic.buildRows(rowOptions(searchParams)) }];
+  }
+  if (pathname === "/projection") {
+    allow(["GET"]);
+    return [
+      200,
+      { projection: logic.buildProjection(projectionOptions(searchParams)) },
+    ];
+  }
+  if (pathname === "/helpers") {
+    allow(["GET"]);
+    return [200, { helpers: Object.keys(HELPERS) }];
+  }
+  if (helperMatch) {
+    allow(["POST"]);
+    return [200, await callHelper(helperMatch[1], req)];
+  }
+  if (pathname === "/schema/row") {
+    allow(["GET"]);
+    return [200, ROW_SCHEMA];
+  }
+  throw new ApiError(404, "not_found", `No route for ${pathname}`);
+}
+
+/**
+ * Request handler, usable with http.createServer or an existing server.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @returns {Promise<void>}
+ */
+async function handleRequest(req, res) {
+  let status;
+  let body;
+  try {
+    const url = new URL(req.url, "http://localhost");
+    [status, body] = await route(req, url);
+  } catch (err) {
+    const known = err instanceof ApiError;
+    status = known ? err.status : 500;
+    body = {
+      error: Object.assign(
+        {
+          code: known ? err.code : "internal_error",
+          message: known ? err.message : "Internal server error",
+        },
+        known && err.details ? { details: err.details } : {},
+      ),
+    };
+  }
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(toJson(body));
+}
+
+/**
+ * Create (but do not start) the API server.
+ * @returns {http.Server}
+ */
+function createServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+}
+
+module.exports = {
+  createServer,
+  handleRequest,
+  readRowParams,
+  ApiError,
+  ROW_SCHEMA,
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 3000;
+  const host = process.env.HOST || "127.0.0.1";
+  createServer().listen(port, host, () => {
+    console.log(`RaiseBuddy API listening on http://${host}:${port}`);
+  });
+}
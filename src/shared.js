@@ -0,0 +1,111 @@
+/**
+ * Small helpers shared by the other modules: module resolution between the
+ * browser and Node, contributions with floor/ceiling, and the code-keyed
+ * registries of tax rule sets and employer cost presets.
+ *
+ * Load it before the other scripts; they look it up as `RaiseBuddyShared` in
+ * the browser and require() it in Node.
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyShared`) and as CommonJS.
+ */
+(function () {
+  /**
+   * Resolve a module from its browser global or via require() in Node.
+   * Returns null when it is not loaded.
+   * @param {string} globalName e.g. "RaiseBuddyRates"
+   * @param {string} path module path relative to src/, e.g. "./exchangeRates"
+   * @returns {Object|null}
+   */
+  function resolveModule(globalName, path) {
+    try {
+      if (typeof window !== "undefined" && window[globalName])
+        return window[globalName];
+    } catch (err) {
+      /* ignore */
+    }
+    try {
+      if (typeof require === "function") return require(path);
+    } catch (err) {
+      /* ignore */
+    }
+    return null;
+  }
+
+  /**
+   * Compute one contribution (social security, employer on-cost) on a gross amount.
+   * Only the slice between `floor` and `ceiling` is subject to the rate.
+   * @param {number} gross
+   * @param {{ rate: number, floor?: number, ceiling?: number }} c
+   * @returns {number}
+   */
+  function computeContribution(gross, c) {
+    const floor = c.floor || 0;
+    const ceiling = Number.isFinite(c.ceiling) ? c.ceiling : Infinity;
+    const base = Math.max(0, Math.min(gross, ceiling) - floor);
+    return base * c.rate;
+  }
+
+  /**
+   * Registry of rule objects keyed by their (case-insensitive) `code`; an entry's
+   * `aliases` (e.g. ["UK"] for "GB") find it too.
+   * `check` returns an error message for entries missing required fields.
+   * @param {string} kind entry name for error messages, e.g. "Preset"
+   * @param {function(Object): (string|null)} [check]
+   * @returns {{ register: Function, get: Function, list: Function }}
+   */
+  function createRegistry(kind, check = () => null) {
+    const entries = new Map();
+    const aliases = new Map();
+    return {
+      // Register (or replace) an entry; returns it
+      register(entry) {
+        if (!entry || !entry.code)
+          throw new Error(`${kind} requires a \`code\``);
+        const problem = check(entry);
+        if (problem) throw new Error(`${kind} ${entry.code} ${problem}`);
+        const key = String(entry.code).toUpperCase();
+        entries.set(key, entry);
+        (entry.aliases || []).forEach((alias) =>
+          aliases.set(String(alias).toUpperCase(), key),
+        );
+        return entry;
+      },
+      // Entry for a code or alias, or null
+      get(code) {
+        if (!code) return null;
+        const key = String(code).toUpperCase();
+        return entries.get(aliases.get(key) || key) || null;
+      },
+      // Entries as { code, name, year }
+      list() {
+        return Array.from(entries.values()).map((e) => ({
+          code: e.code,
+          name: e.name || e.code,
+          year: e.year,
+        }));
+      },
+    };
+  }
+
+  const exportsObj = { resolveModule, computeContribution, createRegistry };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyShared = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyShared = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
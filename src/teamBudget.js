@@ -0,0 +1,201 @@
+/**
+ * Team merit-budget allocation: split a fixed budget across several employees.
+ *
+ * An employee is a plain object:
+ * { name: string, salary: number, fte: number, currency: string, raisePct: number,
+ *   attributes: Object<string, string> }
+ * where `salary` is the full-time yearly amount and `fte` the part-time ratio
+ * (1 = full-time). The cost of a raise is what it adds to the yearly pay:
+ * salary × fte × raisePct / 100.
+ *
+ * `attributes` holds any other imported columns (grade, gender, location, ...)
+ * for the pay-equity audit (src/payEquity.js).
+ *
+ * The budget is kept in one currency; costs in other currencies are converted
+ * with an exchange-rate table (src/exchangeRates.js).
+ *
+ * Loaded as a classic <script> (exposes `RaiseBuddyTeam`) and as CommonJS.
+ */
+(function () {
+  // Shared helpers (src/shared.js, loaded first in the browser)
+  function loadShared() {
+    try {
+      if (typeof window !== "undefined" && window.RaiseBuddyShared)
+        return window.RaiseBuddyShared;
+    } catch (err) {
+      /* ignore */
+    }
+    try {
+      if (typeof require === "function") return require("./shared");
+    } catch (err) {
+      /* ignore */
+    }
+    throw new Error(
+      "shared helpers not available; ensure raisebuddy/src/shared.js is loaded before src/teamBudget.js",
+    );
+  }
+  const shared = loadShared();
+  const { resolveModule } = shared;
+
+  // CSV columns mapped to employee fields; everything else is an attribute
+  const KNOWN_COLUMNS = ["name", "salary", "fte", "currency", "raise"];
+
+  /**
+   * Validate and normalize one employee. Throws an Error naming the employee
+   * when the salary (missing or empty included) or FTE is not usable.
+   * @param {Object} input
+   * @param {string} [defaultCurrency="EUR"] used when `currency` is empty
+   * @returns {{ name: string, salary: number, fte: number, currency: string, raisePct: number, attributes: Object<string, string> }}
+   */
+  function normalizeEmployee(input = {}, defaultCurrency = "EUR") {
+    const name = String(input.name || "").trim() || "Unnamed";
+    // an empty salary is missing, not 0
+    const salary =
+      input.salary === "" || input.salary == null ? NaN : Number(input.salary);
+    if (!(salary >= 0)) throw new Error(`${name}: salary must be a number`);
+    const fte = input.fte === "" || input.fte == null ? 1 : Number(input.fte);
+    if (!(fte > 0 && fte <= 1))
+      throw new Error(`${name}: FTE must be between 0 and 1`);
+    const currency = String(input.currency || defaultCurrency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency))
+      throw new Error(`${name}: currency must be a 3-letter code`);
+    return {
+      name,
+      salary,
+      fte,
+      currency,
+      raisePct: Math.max(0, Number(input.raisePct) || 0),
+      attributes: Object.assign({}, input.attributes),
+    };
+  }
+
+  /**
+   * Read employees from CSV text with a header line. Recognized columns
+   * (case-insensitive): name, salary, fte, currency and raise (in %); other
+   * columns become lower-cased `attributes`. Throws an Error for the first invalid line.
+   * @param {string} text
+   * @param {string} [defaultCurrency="EUR"]
+   * @returns {Array<Object>}
+   */
+  function parseTeamCsv(text, defaultCurrency = "EUR") {
+    const csv = resolveModule("RaiseBuddyCsv", "./csv");
+    if (!csv) throw new Error("CSV module not available");
+    return csv.parseCsvObjects(text).map((record, i) => {
+      const row = {};
+      const attributes = {};
+      Object.keys(record).forEach((k) => {
+        const key = k.toLowerCase();
+        row[key] = record[k];
+        if (!KNOWN_COLUMNS.includes(key) && key) attributes[key] = record[k];
+      });
+      try {
+        return normalizeEmployee(
+          {
+            name: row.name,
+            salary: row.salary,
+            fte: row.fte,
+            currency: row.currency,
+            raisePct: row.raise,
+            attributes,
+          },
+          defaultCurrency,
+        );
+      } catch (err) {
+        throw new Error(`Line ${i + 2}: ${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * Allocate raises against a budget.
+   * opts:
+   * {
+   *   currency: string,               // budget currency
+   *   budgetType: "amount"|"percent", // fixed amount or % of the team payroll
+   *   budgetValue: number,
+   *   rateTable?: Object              // defaults to the bundled rate table
+   * }
+   *
+   * Returns { currency, payroll, budget, used, remaining, over, employees,
+   * missingRates } where every employee gains { paid, raiseCost, newSalary,
+   * converted } (converted = raiseCost in the budget currency, null when no
+   * rate is known). Employees without a rate count neither towards the payroll
+   * nor the budget used; their currencies are listed in `missingRates`.
+   *
+   * @param {Array<Object>} employees normalized employees
+   * @param {Object} opts
+   * @returns {Object}
+   */
+  function allocateBudget(employees, opts = {}) {
+    const {
+      currency = "EUR",
+      budgetType = "amount",
+      budgetValue = 0,
+      rateTable = null,
+    } = opts;
+    const fx = resolveModule("RaiseBuddyRates", "./exchangeRates");
+    const rateFor = (code) =>
+      fx
+        ? fx.getRate(code, currency, rateTable || fx.DEFAULT_TABLE)
+        : code === currency
+          ? 1
+          : null;
+
+    const missing = new Set();
+    let payroll = 0;
+    let used = 0;
+    const rows = employees.map((e) => {
+      const paid = e.salary * e.fte;
+      const raiseCost = (paid * e.raisePct) / 100;
+      const rate = rateFor(e.currency);
+      if (rate === null) missing.add(e.currency);
+      else {
+        payroll += paid * rate;
+        used += raiseCost * rate;
+      }
+      return Object.assign({}, e, {
+        paid,
+        raiseCost,
+        newSalary: e.salary * (1 + e.raisePct / 100),
+        converted: rate === null ? null : raiseCost * rate,
+      });
+    });
+
+    const value = Math.max(0, Number(budgetValue) || 0);
+    const budget = budgetType === "percent" ? (payroll * value) / 100 : value;
+    // tolerate floating-point noise when a budget is used up exactly
+    const over = used > budget + 1e-6;
+    return {
+      currency,
+      payroll,
+      budget,
+      used,
+      remaining: budget - used,
+      over,
+      employees: rows,
+      missingRates: Array.from(missing),
+    };
+  }
+
+  const exportsObj = { normalizeEmployee, parseTeamCsv, allocateBudget };
+
+  // CommonJS export (guarded to avoid ReferenceError in browsers)
+  if (typeof module !== "undefined" && module && module.exports) {
+    try {
+      module.exports = exportsObj;
+    } catch (err) {
+      // ignore if module is not writable
+    }
+  }
+
+  // Expose a safe browser/global API (window preferred, fallback to globalThis)
+  try {
+    if (typeof window !== "undefined") {
+      window.RaiseBuddyTeam = exportsObj;
+    } else if (typeof globalThis !== "undefined") {
+      globalThis.RaiseBuddyTeam = exportsObj;
+    }
+  } catch (err) {
+    // ignore in constrained environments
+  }
+})();
@@ -0,0 +1,315 @@
+const path = require("path");
+const fs = require("fs");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const buildRows = require(path.resolve(__dirname, "../../src/buildRows"));
+
+// Scripts in the order index.html loads them (the ones app.js needs)
+const SCRIPTS = [
+  "src/shared.js",
+  "src/limits.js",
+  "src/buildRows.js",
+  "src/formatMoney.js",
+  "js/app.js",
+];
+
+// Load the scripts and wait for app.js's auto-bootstrap
+async function loadScripts(dom) {
+  SCRIPTS.forEach((file) =>
+    dom.window.eval(
+      fs.readFileSync(path.resolve(__dirname, "../..", file), "utf8"),
+    ),
+  );
+  if (dom.window.document.readyState === "loading")
+    await new Promise((r) =>
+      dom.window.document.addEventListener("DOMContentLoaded", r),
+    );
+  await new Promise((r) => setTimeout(r, 0));
+}
+
+// Single-calculator page with the ladder inputs
+async function loadLadderPage({
+  salary = "50000",
+  increment = "",
+  percentStep = "",
+  steps = "",
+}) {
+  const dom = new JSDOM(
+    `<!doctype html><html><body>
+      <div id="alert-container"></div>
+      <input id="currency" value="EUR" />
+      <input id="fullTimeYear" value="${salary}" />
+      <input id="days" value="5" />
+      <input id="incrementAmount" value="${increment}" />
+      <input id="percentStep" value="${percentStep}" />
+      <input id="percentSteps" value="${steps}" />
+      <table>
+        <thead><tr><th>Yearly (full-time)</th><th class="part-col">Yearly (part-time)</th></tr></thead>
+        <tbody id="results"></tbody>
+      </table>
+    </body></html>`,
+    { url: "http://localhost/", runScripts: "outside-only" },
+  );
+  await loadScripts(dom);
+  return dom;
+}
+
+// Row keys of the ladder built with `config`
+const expectedKeys = (config = {}, baseFull = 50000) =>
+  buildRows({ baseFull, currency: "EUR", config }).map((r) =>
+    String(Math.round(r.fullYearly)),
+  );
+
+/** Unit tests for the ladder inputs of RaiseCalculator (js/app.js) */
+describe("RaiseCalculator ladder inputs", () => {
+  const rendered = (dom) => {
+    const doc = dom.window.document;
+    return {
+      keys: Array.from(doc.querySelectorAll("#results tr")).map(
+        (tr) => tr.dataset.key,
+      ),
+      alert: doc.getElementById("alert-container").textContent,
+    };
+  };
+
+  test("an out-of-range increment falls back to the default ladder with an alert", async () => {
+    const { keys, alert } = rendered(
+      await loadLadderPage({ increment: "0.01" }),
+    );
+    expect(keys).toEqual(expectedKeys());
+    expect(alert).toMatch(/increment out of range/);
+  });
+
+  test("an out-of-range percent step falls back to the default with an alert", async () => {
+    const { keys, alert } = rendered(
+      await loadLadderPage({ percentStep: "0.001" }),
+    );
+    expect(keys).toEqual(expectedKeys());
+    expect(alert).toMatch(/percent step out of range/);
+  });
+
+  test("an empty step count keeps the default number of steps", async () => {
+    const { keys, alert } = rendered(
+      await loadLadderPage({ percentStep: "1", steps: "" }),
+    );
+    expect(keys).toEqual(expectedKeys({ PERCENT_STEP: 0.01 }));
+    expect(alert).toBe("");
+  });
+
+  test("the alert clears once the value is back in range", async () => {
+    const dom = await loadLadderPage({ steps: "500" });
+    const { alert } = rendered(dom);
+    expect(alert).toMatch(/number of steps out of range/);
+
+    const doc = dom.window.document;
+    const input = doc.getElementById("percentSteps");
+    input.value = "5";
+    input.dispatchEvent(new dom.window.Event("input", { bubbles: true }));
+    expect(doc.getElementById("alert-container").textContent).toBe("");
+    expect(
+      Array.from(doc.querySelectorAll("#results tr")).map(
+        (tr) => tr.dataset.key,
+      ),
+    ).toEqual(expectedKeys({ PERCENT_STEPS: 5 }));
+  });
+
+  test("a ladder of more than MAX_ROWS rows falls back to the default with an alert", async () => {
+    const { keys, alert } = rendered(await loadLadderPage({ increment: "1" }));
+    expect(keys).toEqual(expectedKeys());
+    expect(alert).toMatch(/Ladder of more than 5000 rows — using the default/);
+  });
+
+  test("shows no ladder when even the default one is too large", async () => {
+    const dom = await loadLadderPage({ salary: "1000000000" });
+    const { keys, alert } = rendered(dom);
+    expect(keys).toEqual([]);
+    expect(alert).toMatch(/Salary too high for a ladder of at most 5000 rows/);
+
+    // a larger increment brings the ladder back
+    const input = dom.window.document.getElementById("incrementAmount");
+    input.value = "1000000";
+    input.dispatchEvent(new dom.window.Event("input", { bubbles: true }));
+    expect(rendered(dom)).toEqual({
+      keys: expectedKeys({ INCREMENT_AMOUNT: 1000000 }, 1000000000),
+      alert: "",
+    });
+  });
+});
+
+/** Unit tests for the payout window start (`#asOf`) of RaiseCalculator */
+describe("RaiseCalculator as-of date", () => {
+  async function payoutsFor(asOf) {
+    const dom = new JSDOM(
+      `<!doctype html><html><body>
+        <input id="currency" value="EUR" />
+        <input id="fullTimeYear" value="50000" />
+        <input id="days" value="5" />
+        <input id="effectiveDate" value="2025-07-01" />
+        <input id="asOf" value="${asOf}" />
+        <table><tbody id="results"></tbody></table>
+      </body></html>`,
+      { url: "http://localhost/", runScripts: "outside-only" },
+    );
+    await loadScripts(dom);
+    let rows = null;
+    dom.window.document.addEventListener("raisebuddy:render", (ev) => {
+      rows = ev.detail.rows;
+    });
+    dom.window.raiseCalculatorInstance.render();
+    return rows.map((r) => r.paidFirst12Months);
+  }
+
+  const expected = (asOf) =>
+    buildRows({
+      baseFull: 50000,
+      currency: "EUR",
+      effectiveDate: "2025-07-01",
+      asOf,
+    }).map((r) => r.paidFirst12Months);
+
+  test("starts the next 12 months on the #asOf date", async () => {
+    expect(await payoutsFor("2025-01-01")).toEqual(expected("2025-01-01"));
+    expect(await payoutsFor("2025-01-01")).not.toEqual(expected("2025-10-01"));
+  });
+
+  test("falls back to today when #asOf is empty", async () => {
+    expect(await payoutsFor("")).toEqual(expected(new Date()));
+  });
+});
+
+/** Unit tests for the events and integration hooks of RaiseCalculator */
+describe("RaiseCalculator events and hooks", () => {
+  test("emits raisebuddy:* events and applies the integration hooks", async () => {
+    const dom = new JSDOM(
+      `<!doctype html><html><body>
+        <table>
+          <thead>
+            <tr>
+              ${"<th></th>".repeat(21)}
+              <th data-column="level">Level</th>
+            </tr>
+          </thead>
+          <tbody id="ladder"></tbody>
+        </table>
+        <input id="currency" value="EUR" />
+        <input id="fullTimeYear" value="50000" />
+        <input id="days" value="5" />
+      </body></html>`,
+      { url: "http://localhost/", runScripts: "outside-only" },
+    );
+    await loadScripts(dom);
+    const doc = dom.window.document;
+    const events = [];
+    ["render", "highlight", "inputchange"].forEach((name) =>
+      doc.addEventListener(`raisebuddy:${name}`, (ev) =>
+        events.push([name, ev.detail]),
+      ),
+    );
+    const clicked = [];
+
+    new dom.window.RaiseCalculator({
+      results: "#ladder",
+      config: { PERCENT_STEPS: 0, INCREMENT_STEPS: 2 },
+      transformRows: (rows) =>
+        rows.map((r) =>
+          Object.assign({}, r, { level: r.fullYearly > 50000 ? "L2" : "L1" }),
+        ),
+      formatCell: (cell, { row, column }) => {
+        if (column === "level") return { text: row.level };
+        if (column === "monthly" && row.source === "BASE")
+          return { html: `${cell.text} <span class="badge">today</span>` };
+        return undefined;
+      },
+      onRowClick: (row, { key }) => {
+        clicked.push([row.level, key]);
+        return row.source !== "BASE";
+      },
+    }).init();
+
+    const rows = () => Array.from(doc.querySelectorAll("#ladder tr"));
+    // the 21 built-in columns plus the "level" header added by the page
+    expect(rows()[0].children).toHaveLength(22);
+    expect(rows()[0].children[21].textContent).toBe("L1");
+    expect(rows()[1].children[21].textContent).toBe("L2");
+    expect(rows()[0].querySelector(".badge").textContent).toBe("today");
+    expect(events[0][0]).toBe("render");
+    expect(events[0][1].rows[1].level).toBe("L2");
+
+    // onRowClick returning false leaves the row alone
+    rows()[0].click();
+    expect(rows()[0].classList.contains("table-primary")).toBe(false);
+    rows()[1].click();
+    expect(rows()[1].classList.contains("table-primary")).toBe(true);
+    expect(clicked).toEqual([
+      ["L1", "50000"],
+      ["L2", rows()[1].dataset.key],
+    ]);
+    expect(events[1]).toEqual(["highlight", { keys: [rows()[1].dataset.key] }]);
+
+    const input = doc.getElementById("fullTimeYear");
+    input.value = "60000";
+    input.dispatchEvent(new dom.window.Event("input", { bubbles: true }));
+    expect(events.slice(2).map(([name]) => name)).toEqual([
+      "inputchange",
+      "render",
+    ]);
+    expect(events[2][1]).toEqual({ field: "fullTime", value: "60000" });
+  });
+});
+
+/** Unit tests for loading js/app.js without its src/ dependencies */
+describe("RaiseCalculator without src/shared.js", () => {
+  test("fails with a message naming the missing script", async () => {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("error", (...args) => errors.push(args));
+    const dom = new JSDOM(
+      `<!doctype html><html><body>
+        <input id="currency" value="EUR" />
+        <input id="fullTimeYear" value="50000" />
+        <input id="days" value="5" />
+        <table><tbody id="results"></tbody></table>
+      </body></html>`,
+      { url: "http://localhost/", runScripts: "outside-only", virtualConsole },
+    );
+    ["src/buildRows.js", "js/app.js"].forEach((file) =>
+      dom.window.eval(
+        fs.readFileSync(path.resolve(__dirname, "../..", file), "utf8"),
+      ),
+    );
+    await new Promise((r) => setTimeout(r, 0));
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0][1].message).toMatch(
+      /ensure raisebuddy\/src\/shared\.js is loaded before js\/app\.js/,
+    );
+  });
+});
+
+/** Unit tests for the per-feature selector options of RaiseCalculator */
+describe("RaiseCalculator feature options", () => {
+  test("a feature option replaces some selectors, the others keep their default", async () => {
+    const dom = new JSDOM(
+      `<!doctype html><html><body>
+        <input id="currency" value="EUR" />
+        <input id="fullTimeYear" value="50000" />
+        <input id="days" value="5" />
+        <input id="step" value="1000" />
+        <input id="percentSteps" value="2" />
+        <table><tbody id="ladder"></tbody></table>
+      </body></html>`,
+      { url: "http://localhost/", runScripts: "outside-only" },
+    );
+    await loadScripts(dom);
+    new dom.window.RaiseCalculator({
+      results: "#ladder",
+      ladder: { incrementAmount: "#step" },
+    }).init();
+
+    const doc = dom.window.document;
+    expect(
+      Array.from(doc.querySelectorAll("#ladder tr")).map(
+        (tr) => tr.dataset.key,
+      ),
+    ).toEqual(expectedKeys({ INCREMENT_AMOUNT: 1000, PERCENT_STEPS: 2 }));
+  });
+});
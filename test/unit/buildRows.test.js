@@ -3,6 +3,7 @@ const { JSDOM } = require("jsdom");
 
 const buildRows = require(path.resolve(__dirname, "../../src/buildRows"));
 const helpers = buildRows && buildRows.helpers ? buildRows.helpers : {};
+const limits = require(path.resolve(__dirname, "../../src/limits"));
 
 /**
  * Wait for a condition to become true within a timeout.
@@ -29,6 +30,36 @@ describe("buildRows helpers (unit)", () => {
     expect(typeof cfg.PERCENT_STEP).toBe("number");
   });
 
+  test("normalizeCfg picks the currency default increment unless overridden", () => {
+    expect(helpers.normalizeCfg({}, "JPY").INCREMENT_AMOUNT).toBe(50000);
+    expect(helpers.normalizeCfg({}, "sek").INCREMENT_AMOUNT).toBe(5000);
+    expect(helpers.normalizeCfg({}, "EUR").INCREMENT_AMOUNT).toBe(500);
+    expect(helpers.normalizeCfg({}).INCREMENT_AMOUNT).toBe(500);
+    expect(
+      helpers.normalizeCfg({ INCREMENT_AMOUNT: 1000 }, "JPY").INCREMENT_AMOUNT,
+    ).toBe(1000);
+  });
+
+  test("the largest currency default increment is still an accepted increment", () => {
+    const idr = helpers.defaultIncrementFor("IDR");
+    expect(idr).toBe(10000000);
+    expect(limits.LADDER_LIMITS.increment[1]).toBe(idr);
+    expect(limits.isValidLadderValue("increment", String(idr))).toBe(true);
+    expect(limits.isValidLadderValue("increment", String(idr + 1))).toBe(false);
+  });
+
+  test("buildRows ladders and highlights follow the effective increment", () => {
+    const rows = buildRows({ baseFull: 5000000, days: 5, currency: "JPY" });
+    const ft = rows.filter((r) => r.source === "FT");
+    expect(ft.length).toBeGreaterThan(0);
+    ft.forEach((r) => expect(r.fullYearly % 50000).toBe(0));
+    expect(
+      rows.find((r) => r.fullYearly === 5050000).highlightedCells,
+    ).toContain("fullYearly");
+    // a 500 yen step would never be highlighted
+    expect(rows.some((r) => r.fullYearly === 5000500)).toBe(false);
+  });
+
   test("computeBaseValues computes derived base values", () => {
     const res = helpers.computeBaseValues(50000, 4);
     expect(res.baseFullNum).toBe(50000);
@@ -37,6 +68,253 @@ describe("buildRows helpers (unit)", () => {
     expect(res.baseMonthly).toBeCloseTo((50000 * (4 / 5)) / 12);
   });
 
+  test("computeBaseValues divides monthly by the number of payments", () => {
+    const res = helpers.computeBaseValues(56000, 5, 14);
+    expect(res.baseMonthly).toBeCloseTo(4000);
+  });
+
+  test("buildRows uses PAYMENTS_PER_YEAR for monthly figures and extra payments", () => {
+    const rows = buildRows({
+      baseFull: 56000,
+      days: 5,
+      config: { PAYMENTS_PER_YEAR: 14 },
+    });
+    expect(rows[0].monthly).toBeCloseTo(4000);
+    expect(rows[0].extraPayments).toBeCloseTo(8000);
+    const next = rows[1];
+    expect(next.monthly).toBeCloseTo(next.partYearly / 14);
+    expect(next.monthlyDiff).toBeCloseTo(next.monthly - 4000);
+
+    const twelve = buildRows({ baseFull: 56000, days: 5 });
+    expect(twelve[0].extraPayments).toBe(0);
+  });
+
+  test("resolvePartRatio prefers fte, then hours, then days", () => {
+    expect(helpers.resolvePartRatio({ days: 4 })).toBeCloseTo(0.8);
+    expect(helpers.resolvePartRatio({ days: 4.5 })).toBeCloseTo(0.9);
+    expect(
+      helpers.resolvePartRatio({ days: 5, hours: 30, fullTimeHours: 40 }),
+    ).toBeCloseTo(0.75);
+    expect(
+      helpers.resolvePartRatio({
+        days: 4,
+        hours: 30,
+        fullTimeHours: 40,
+        fte: 0.6,
+      }),
+    ).toBeCloseTo(0.6);
+    // capped at full-time
+    expect(helpers.resolvePartRatio({ hours: 45, fullTimeHours: 40 })).toBe(1);
+  });
+
+  test("buildRows applies hours-based part-time to partYearly", () => {
+    const rows = buildRows({ baseFull: 60000, hours: 32, fullTimeHours: 40 });
+    expect(rows[0].partYearly).toBeCloseTo(48000);
+    expect(rows[0].monthly).toBeCloseTo(4000);
+  });
+
+  test("buildRows adds hourly and daily rates only when INCLUDE_RATES is set", () => {
+    const rows = buildRows({
+      baseFull: 52000,
+      days: 4,
+      config: {
+        INCLUDE_RATES: true,
+        HOURS_PER_WEEK: 40,
+        PAID_WEEKS_PER_YEAR: 52,
+      },
+    });
+    // rates are per hour/day worked, so part-time does not change them
+    expect(rows[0].hourlyRate).toBeCloseTo(25);
+    expect(rows[0].dailyRate).toBeCloseTo(200);
+
+    const plain = buildRows({ baseFull: 52000, days: 4 });
+    expect(plain[0].hourlyRate).toBeUndefined();
+  });
+
+  test("solveTargetFull inverts each target type", () => {
+    const ctx = { partRatio: 0.8, baseMonthly: 2500, payments: 12 };
+    expect(helpers.solveTargetFull({ type: "yearly", value: 60000 }, ctx)).toBe(
+      60000,
+    );
+    expect(
+      helpers.solveTargetFull({ type: "partYearly", value: 40000 }, ctx),
+    ).toBeCloseTo(50000);
+    expect(
+      helpers.solveTargetFull({ type: "monthly", value: 3000 }, ctx),
+    ).toBeCloseTo(45000);
+    expect(
+      helpers.solveTargetFull({ type: "monthlyDiff", value: 100 }, ctx),
+    ).toBeCloseTo(39000);
+    expect(
+      helpers.solveTargetFull({ type: "bogus", value: 1 }, ctx),
+    ).toBeNull();
+  });
+
+  test("buildRows inserts a highlighted GOAL row for a target", () => {
+    const rows = buildRows({
+      baseFull: 50000,
+      days: 4,
+      target: { type: "monthly", value: 3500 },
+    });
+    const goal = rows.find((r) => r.source === "GOAL");
+    expect(goal).toBeTruthy();
+    expect(goal.raisePct).toBeCloseTo(5);
+    expect(goal.monthly).toBeCloseTo(3500);
+    expect(goal.highlightedCells).toEqual(
+      expect.arrayContaining(["monthly", "raisePct"]),
+    );
+    // the GOAL row wins over ladder rows with the same rounded yearly amount
+    expect(rows.filter((r) => Math.round(r.fullYearly) === 52500)).toHaveLength(
+      1,
+    );
+  });
+
+  test("buildRows marks the current row when it already reaches the target", () => {
+    const rows = buildRows({
+      baseFull: 50000,
+      days: 4,
+      target: { type: "monthly", value: 40000 / 12 },
+    });
+    expect(rows.some((r) => r.source === "GOAL")).toBe(false);
+    expect(rows[0]).toMatchObject({
+      source: "BASE",
+      label: "current (target)",
+      reachesTarget: true,
+    });
+    expect(rows[0].highlightedCells).toEqual(
+      expect.arrayContaining(["monthly", "raisePct"]),
+    );
+    expect(rows.filter((r) => r.reachesTarget)).toHaveLength(1);
+  });
+
+  test("buildRows rejects negative targets", () => {
+    const ctx = { partRatio: 0.8, baseMonthly: 2500, payments: 12 };
+    expect(
+      helpers.solveTargetFull({ type: "monthlyDiff", value: -100 }, ctx),
+    ).toBeNull();
+    const rows = buildRows({
+      baseFull: 50000,
+      days: 4,
+      target: { type: "yearly", value: -60000 },
+    });
+    expect(rows.some((r) => r.source === "GOAL")).toBe(false);
+    expect(rows.some((r) => r.reachesTarget)).toBe(false);
+  });
+
+  test("buildProjection compounds the yearly raise and sums the extra earnings", () => {
+    const rows = buildRows.buildProjection({
+      baseFull: 50000,
+      days: 4,
+      raisePct: 10,
+      years: 2,
+    });
+    expect(rows.map((r) => r.year)).toEqual([0, 1, 2]);
+    expect(rows[0].cumulativeExtra).toBe(0);
+    expect(rows[2].fullYearly).toBeCloseTo(60500);
+    expect(rows[2].partYearly).toBeCloseTo(48400);
+    expect(rows[2].monthly).toBeCloseTo(48400 / 12);
+    expect(rows[2].raisePct).toBeCloseTo(21);
+    // 4000 extra in year 1, 8400 in year 2
+    expect(rows[2].cumulativeExtra).toBeCloseTo(12400);
+    expect(buildRows.buildProjection({ baseFull: 50000, years: 0 })).toEqual(
+      [],
+    );
+  });
+
+  test("yearFraction counts whole months or exact days", () => {
+    const d = helpers.parseDate;
+    expect(d("2024-02-30")).toBeNull();
+    expect(
+      helpers.yearFraction(d("2024-01-01"), d("2024-04-15"), "month"),
+    ).toBeCloseTo(3 / 12);
+    // 2024 is a leap year: 31 + 29 days
+    expect(
+      helpers.yearFraction(d("2024-01-01"), d("2024-03-01"), "day"),
+    ).toBeCloseTo(60 / 366);
+  });
+
+  test("buildRows pro-rates payouts from the effective date", () => {
+    const rows = buildRows({
+      baseFull: 48000,
+      days: 5,
+      config: { INCREMENT_AMOUNT: 1200 },
+      effectiveDate: "2025-04-01",
+      asOf: "2025-01-01",
+    });
+    const raised = rows.find((r) => r.fullYearly === 49200);
+    // 3 months at 48000, 9 months at 49200
+    expect(raised.paidThisYear).toBeCloseTo(48900);
+    expect(raised.paidFirst12Months).toBeCloseTo(48900);
+    expect(rows[0].paidThisYear).toBeCloseTo(48000);
+
+    const byDay = buildRows({
+      baseFull: 48000,
+      days: 5,
+      config: { INCREMENT_AMOUNT: 1200, PRORATION: "day" },
+      effectiveDate: "2025-04-01",
+    });
+    const raisedByDay = byDay.find((r) => r.fullYearly === 49200);
+    expect(raisedByDay.paidThisYear).toBeCloseTo(48000 + (1200 * 275) / 365);
+    // without asOf the 12 months start on the effective date
+    expect(raisedByDay.paidFirst12Months).toBeCloseTo(49200);
+    expect(buildRows({ baseFull: 48000 })[0].paidThisYear).toBeUndefined();
+  });
+
+  test("buildBackPay owes the monthly differences until the payment month", () => {
+    const rows = buildRows({
+      baseFull: 48000,
+      days: 4,
+      config: { INCREMENT_AMOUNT: 1200 },
+    });
+    const row = rows.find((r) => r.fullYearly === 49200);
+    const backPay = buildRows.buildBackPay(row, {
+      effectiveDate: "2025-04-16",
+      paymentDate: "2025-07-01",
+    });
+    expect(backPay.months.map((m) => m.month)).toEqual([
+      "2025-04",
+      "2025-05",
+      "2025-06",
+    ]);
+    // 15 of 30 days in April
+    expect(backPay.months[0].fraction).toBeCloseTo(0.5);
+    expect(backPay.totalFullTime).toBeCloseTo(100 * 2.5);
+    expect(backPay.totalPartTime).toBeCloseTo(80 * 2.5);
+    expect(
+      buildRows.buildBackPay(row, {
+        effectiveDate: "2025-07-01",
+        paymentDate: "2025-07-31",
+      }).months,
+    ).toEqual([]);
+  });
+
+  test("buildRows adds bonus and allowances to the total target compensation", () => {
+    const opts = {
+      baseFull: 50000,
+      days: 4,
+      config: { INCREMENT_AMOUNT: 5000 },
+      compensation: { bonusPct: 10, allowances: 1200 },
+    };
+    const rows = buildRows(opts);
+    const raised = rows.find((r) => r.fullYearly === 55000);
+    // bonus prorated (5000 * 0.8), allowances paid in full
+    expect(rows[0].totalComp).toBeCloseTo(40000 + 4000 + 1200);
+    expect(raised.bonusYearly).toBeCloseTo(4000);
+    expect(raised.totalCompFull).toBeCloseTo(55000 + 5000 + 1200);
+    expect(raised.totalCompDiff).toBeCloseTo(4000);
+
+    const both = buildRows(
+      Object.assign({}, opts, {
+        compensation: Object.assign({}, opts.compensation, {
+          raiseAppliesTo: "baseAndBonus",
+        }),
+      }),
+    ).find((r) => r.fullYearly === 55000);
+    expect(both.bonusYearly).toBeCloseTo(4400);
+    expect(both.totalCompDiff).toBeCloseTo(4400);
+    expect(buildRows({ baseFull: 50000 })[0].totalComp).toBeUndefined();
+  });
+
   test("roundUpToIncrement rounds correctly for multiples and non-multiples", () => {
     expect(helpers.roundUpToIncrement(50000, 500)).toBe(50500); // exact multiple -> next
     expect(helpers.roundUpToIncrement(50234, 500)).toBe(50500); // ceil to increment
@@ -0,0 +1,136 @@
+const path = require("path");
+
+const cli = require(path.resolve(__dirname, "../../src/cli"));
+
+// Run the CLI with captured output and an in-memory file system
+function runCli(args, files = {}) {
+  let out = "";
+  let err = "";
+  const status = cli.run(args, {
+    stdout: { write: (s) => (out += s) },
+    stderr: { write: (s) => (err += s) },
+    readFile: (file) => {
+      if (!(file in files)) throw new Error(`ENOENT: ${file}`);
+      return files[file];
+    },
+  });
+  return { status, out, err };
+}
+
+/**
+ * Unit tests for the raisebuddy command-line tool
+ */
+describe("cli (unit)", () => {
+  test("prints one ladder as a table or JSON", () => {
+    const table = runCli(["--salary", "50000", "--days", "4"]);
+    expect(table.status).toBe(0);
+    expect(table.out.split("\n")[0]).toMatch(/^Label\s+Raise %/);
+    expect(table.out).toContain("€40,000");
+
+    const json = JSON.parse(
+      runCli(["--salary", "50000", "--format", "json"]).out,
+    );
+    expect(json.currency).toBe("EUR");
+    expect(json.rows[0]).toMatchObject({ label: "current", fullYearly: 50000 });
+  });
+
+  test("processes a CSV of employees", () => {
+    const files = {
+      "team.csv": "Name,Salary,FTE,Currency\nAda,60000,,\nBo,4000000,0.5,JPY\n",
+    };
+    const csv = runCli(["--csv", "team.csv", "--format", "csv"], files);
+    const lines = csv.out.trim().split("\n");
+    expect(lines[0]).toBe(
+      "name,currency,label,raisePct,fullYearly,partYearly,monthly,yearlyDiff,monthlyDiff",
+    );
+    expect(lines[1]).toBe("Ada,EUR,current,0,60000,60000,5000,0,0");
+    expect(
+      lines.some((l) => l.startsWith("Bo,JPY,current,0,4000000,2000000")),
+    ).toBe(true);
+
+    const md = runCli(["--csv", "team.csv", "--format", "markdown"], files);
+    expect(md.out).toContain("## Bo");
+    expect(md.out).toContain("| --- | ---: |");
+  });
+
+  test("reports usage errors with status 2", () => {
+    expect(runCli([]).err).toMatch(/--salary is required/);
+    expect(runCli(["--salary", "1", "--format", "xml"]).status).toBe(2);
+    expect(runCli(["--nope"]).status).toBe(2);
+    const bad = runCli(["--csv", "t.csv"], {
+      "t.csv": "name,salary,fte\nA,1,3",
+    });
+    expect(bad.err).toMatch(/Line 2: fte must be between 0 and 1/);
+    expect(runCli(["--csv", "missing.csv"]).status).toBe(1);
+  });
+
+  test("applies the page and API limits to salary, increment and days", () => {
+    const usage = (args) => {
+      const { status, err } = runCli(["--salary", "50000"].concat(args));
+      expect(status).toBe(2);
+      return err;
+    };
+    expect(runCli(["--salary", "0"]).err).toMatch(/--salary must be above 0/);
+    expect(runCli(["--salary", "1e12"]).err).toMatch(
+      /--salary must be above 0/,
+    );
+    expect(usage(["--increment", "0"])).toMatch(
+      /--increment must be a whole number between 1 and 10000000/,
+    );
+    expect(usage(["--increment", "0.0001"])).toMatch(/--increment must be/);
+    expect(usage(["--increment", "10000001"])).toMatch(/--increment must be/);
+    // the IDR default increment is the largest accepted one
+    expect(
+      runCli([
+        "--salary",
+        "500000000",
+        "--currency",
+        "IDR",
+        "--increment",
+        "10000000",
+      ]).status,
+    ).toBe(0);
+    expect(usage(["--days", "4.3"])).toMatch(/--days must be between 1 and 5/);
+    expect(runCli(["--salary", "50000", "--days", "4.5"]).status).toBe(0);
+  });
+
+  test("reads --hours against a 40-hour week unless --full-time-hours is given", () => {
+    const part = (args) =>
+      JSON.parse(
+        runCli(["--salary", "50000", "--format", "json"].concat(args)).out,
+      ).rows[0].partYearly;
+    expect(part(["--hours", "32"])).toBe(40000);
+    expect(part(["--hours", "30", "--full-time-hours", "37.5"])).toBe(40000);
+    expect(runCli(["--salary", "50000", "--hours", "41"]).err).toMatch(
+      /--hours must be above 0 and at most the full-time hours \(40\)/,
+    );
+    expect(
+      runCli(["--salary", "50000", "--hours", "50", "--full-time-hours", "40"])
+        .status,
+    ).toBe(2);
+    expect(
+      runCli(["--salary", "50000", "--full-time-hours", "200"]).err,
+    ).toMatch(/--full-time-hours must be above 0 and at most 168/);
+  });
+
+  test("accepts only the supported tax countries", () => {
+    const { status, err } = runCli(["--salary", "50000", "--country", "XX"]);
+    expect(status).toBe(2);
+    expect(err).toMatch(/--country must be one of DE, GB, US/);
+    const uk = JSON.parse(
+      runCli(["--salary", "50000", "--country", "uk", "--format", "json"]).out,
+    );
+    expect(uk.rows[0].netYearly).toBeCloseTo(39519.6);
+  });
+
+  test("refuses ladders with too many rows", () => {
+    const { status, err } = runCli([
+      "--salary",
+      "50000000",
+      "--increment",
+      "1",
+    ]);
+    expect(status).toBe(2);
+    expect(err).toMatch(/more than 5000 rows; use a larger --increment/);
+  });
+});
@@ -0,0 +1,60 @@
+const path = require("path");
+
+const employer = require(path.resolve(__dirname, "../../src/employerCost"));
+const buildRows = require(path.resolve(__dirname, "../../src/buildRows"));
+
+/**
+ * Unit tests for the employer on-cost presets
+ */
+describe("employerCost (unit)", () => {
+  test("bundled presets apply their floors and ceilings", () => {
+    expect(employer.computeEmployerCost(50000, "DE").onCosts).toBeCloseTo(
+      10475,
+    );
+    // UK: NI above the secondary threshold, pension on qualifying earnings
+    expect(employer.computeEmployerCost(60000, "gb").onCosts).toBeCloseTo(
+      (60000 - 9100) * 0.138 + (50270 - 6240) * 0.03,
+    );
+    // US: social security stops at its wage base
+    expect(employer.computeEmployerCost(200000, "US").onCosts).toBeCloseTo(
+      168600 * 0.062 + 200000 * 0.0145 + 7000 * 0.006,
+    );
+    expect(employer.computeEmployerCost(50000, "XX")).toBeNull();
+  });
+
+  test("presets use ISO 3166 codes and are found by their aliases", () => {
+    expect(employer.listPresets().map((p) => p.code)).toEqual([
+      "DE",
+      "GB",
+      "US",
+    ]);
+    expect(employer.getPreset("UK").code).toBe("GB");
+  });
+
+  test("customPreset turns percentages into uncapped on-costs", () => {
+    const preset = employer.customPreset({
+      socialSecurity: 0.2,
+      pension: 0.05,
+    });
+    expect(preset.contributions).toHaveLength(2);
+    expect(employer.computeEmployerCost(40000, preset).total).toBeCloseTo(
+      50000,
+    );
+    expect(() => employer.registerPreset({ code: "YY" })).toThrow();
+  });
+});
+
+describe("buildRows employer cost columns", () => {
+  test("rows carry the employer cost of the part-time pay and its delta", () => {
+    const rows = buildRows({ baseFull: 50000, days: 4, employerCost: "DE" });
+    expect(rows[0].employerCostYearly).toBeCloseTo(40000 * 1.2095);
+    expect(rows[0].employerCostDelta).toBe(0);
+    const last = rows[rows.length - 1];
+    expect(last.employerCostDelta).toBeCloseTo(
+      last.employerCostYearly - rows[0].employerCostYearly,
+    );
+    expect(
+      buildRows({ baseFull: 50000 })[0].employerCostYearly,
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,51 @@
+const path = require("path");
+
+const fx = require(path.resolve(__dirname, "../../src/exchangeRates"));
+
+/**
+ * Unit tests for the offline exchange-rate tables
+ */
+describe("exchangeRates (unit)", () => {
+  test("parseRateTable normalizes codes and adds the base currency", () => {
+    const table = fx.parseRateTable(
+      '{"base":"eur","date":"2024-06-28","rates":{"usd":1.07,"CHF":0.96}}',
+    );
+    expect(table.base).toBe("EUR");
+    expect(table.rates).toEqual({ EUR: 1, USD: 1.07, CHF: 0.96 });
+    expect(table.source).toBe("");
+  });
+
+  test("parseRateTable rejects malformed tables", () => {
+    expect(() => fx.parseRateTable("not json")).toThrow(/valid JSON/);
+    expect(() => fx.parseRateTable({ date: "2024-01-01", rates: {} })).toThrow(
+      /base/,
+    );
+    expect(() => fx.parseRateTable({ base: "EUR", rates: {} })).toThrow(/date/);
+    expect(() =>
+      fx.parseRateTable({
+        base: "EUR",
+        date: "2024-01-01",
+        rates: { USD: -1 },
+      }),
+    ).toThrow(/USD/);
+  });
+
+  test("getRate derives cross rates through the base currency", () => {
+    const table = fx.parseRateTable({
+      base: "EUR",
+      date: "2024-01-01",
+      rates: { USD: 1.1, GBP: 0.88 },
+    });
+    expect(fx.getRate("EUR", "USD", table)).toBeCloseTo(1.1);
+    expect(fx.getRate("USD", "EUR", table)).toBeCloseTo(1 / 1.1);
+    expect(fx.getRate("GBP", "USD", table)).toBeCloseTo(1.25);
+    expect(fx.getRate("usd", "USD", table)).toBe(1);
+    expect(fx.getRate("EUR", "XXX", table)).toBeNull();
+  });
+
+  test("the bundled table converts with explicit rates", () => {
+    expect(fx.DEFAULT_TABLE.rates.EUR).toBe(1);
+    expect(fx.getRate("EUR", "JPY")).toBeCloseTo(163.06);
+    expect(fx.convert(50000, 1.1)).toBeCloseTo(55000);
+  });
+});
@@ -0,0 +1,58 @@
+const path = require("path");
+
+const { formatMoney, minorUnits } = require(
+  path.resolve(__dirname, "../../src/formatMoney"),
+);
+
+/**
+ * Unit tests for the Intl.NumberFormat-based currency formatter.
+ * Spaces are normalized because Intl uses (narrow) no-break spaces.
+ */
+const plain = (s) => s.replace(/[  ]/g, " ");
+
+describe("formatMoney (unit)", () => {
+  test("places the symbol where the locale expects it", () => {
+    expect(plain(formatMoney(50500, "EUR", "de-DE"))).toBe("50.500 €");
+    expect(plain(formatMoney(50500, "GBP", "en-GB"))).toBe("£50,500");
+    expect(plain(formatMoney(50500, "USD", "en-US"))).toBe("$50,500");
+  });
+
+  test("respects the currency's minor units and drops zero decimals", () => {
+    expect(minorUnits("EUR")).toBe(2);
+    expect(minorUnits("JPY")).toBe(0);
+    expect(plain(formatMoney(4166.666, "EUR", "de-DE"))).toBe("4.166,67 €");
+    expect(plain(formatMoney(12345.6, "JPY", "en-US"))).toBe("¥12,346");
+    expect(plain(formatMoney(50249.999999, "EUR", "en-GB"))).toBe("€50,250");
+  });
+
+  test("falls back gracefully on unknown codes and invalid locales", () => {
+    expect(formatMoney(5, "NOT-A-CODE", "en-US")).toBe("5 NOT-A-CODE");
+    expect(plain(formatMoney(5, "EUR", "not a locale!"))).toMatch(/5/);
+  });
+});
+
+describe("currencies (unit)", () => {
+  const currencies = require(path.resolve(__dirname, "../../src/currencies"));
+
+  test("knows active ISO 4217 codes with their minor units", () => {
+    expect(currencies.isCurrencyCode("pln")).toBe(true);
+    expect(currencies.isCurrencyCode("XXX")).toBe(false);
+    expect(currencies.getCurrency("KWD").minorUnits).toBe(3);
+    expect(currencies.getCurrency("INR").symbol).toBe("₹");
+    expect(currencies.listCurrencies().length).toBeGreaterThan(150);
+  });
+
+  test("searches by code, name or symbol", () => {
+    expect(currencies.searchCurrencies("zloty").map((c) => c.code)).toEqual([
+      "PLN",
+    ]);
+    expect(currencies.searchCurrencies("brl")[0].code).toBe("BRL");
+    expect(currencies.searchCurrencies("").length).toBe(
+      currencies.listCurrencies().length,
+    );
+  });
+
+  test("the formatter rounds to ISO minor units", () => {
+    expect(plain(formatMoney(1234.5678, "KWD", "en-US"))).toBe("KWD 1,234.568");
+  });
+});
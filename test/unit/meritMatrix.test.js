@@ -0,0 +1,50 @@
+const path = require("path");
+
+const merit = require(path.resolve(__dirname, "../../src/meritMatrix"));
+const buildRows = require(path.resolve(__dirname, "../../src/buildRows"));
+
+/**
+ * Unit tests for the merit matrix and the merit tags on rows
+ */
+describe("meritMatrix (unit)", () => {
+  test("recommend picks the range for the rating and position in range", () => {
+    const matrix = merit.DEFAULT_MATRIX;
+    expect(merit.positionFor(matrix, 0.85)).toBe(0);
+    expect(merit.positionFor(matrix, 1.3)).toBe(3);
+    expect(merit.recommend(matrix, "4", 0.95)).toEqual({
+      min: 4,
+      max: 6,
+      position: "0.90–1.00",
+    });
+    expect(merit.recommend(matrix, "9")).toBeNull();
+  });
+
+  test("parseMatrix validates positions and ranges", () => {
+    const matrix = merit.parseMatrix(
+      '{"positions":[{"label":"low","upTo":1},{"label":"high"}],' +
+        '"ratings":[{"rating":3,"ranges":[[3,5],[2,3]]}]}',
+    );
+    expect(matrix.positions[1].upTo).toBe(Infinity);
+    expect(merit.listRatings(matrix)).toEqual([{ rating: "3", label: "3" }]);
+    expect(() => merit.parseMatrix("[")).toThrow(/valid JSON/);
+    expect(() =>
+      merit.parseMatrix({
+        positions: [{ upTo: 1 }],
+        ratings: [{ rating: "1", ranges: [[2, 1]] }],
+      }),
+    ).toThrow(/invalid/);
+  });
+});
+
+describe("buildRows merit tags", () => {
+  test("rows are tagged below, within or above the recommended range", () => {
+    const rows = buildRows({ baseFull: 50000, merit: { min: 2, max: 3 } });
+    const tagOf = (pct) =>
+      rows.find((r) => Math.abs(r.raisePct - pct) < 1e-6).meritTag;
+    expect(tagOf(0)).toBe("below");
+    expect(tagOf(2)).toBe("within");
+    expect(tagOf(3)).toBe("within");
+    expect(tagOf(3.5)).toBe("above");
+    expect(buildRows({ baseFull: 50000 })[0].meritTag).toBeUndefined();
+  });
+});
@@ -0,0 +1,146 @@
+const path = require("path");
+const fs = require("fs");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+// Scripts in the order index.html loads them (the ones app.js needs)
+const SCRIPTS = [
+  "src/shared.js",
+  "src/currencies.js",
+  "src/limits.js",
+  "src/buildRows.js",
+  "src/formatMoney.js",
+  "js/app.js",
+];
+
+// Calculator container; its elements use `data-rb-id` instead of ids
+const section = (key, fullTime, { results = true } = {}) => `
+  <section data-raisebuddy="${key}">
+    <table>
+      <thead>
+        <tr>
+          <th>Yearly (full-time)</th>
+          <th class="part-col">Yearly (part-time)</th>
+          <th>Monthly</th>
+        </tr>
+      </thead>
+      ${results ? '<tbody data-rb-id="results"></tbody>' : ""}
+    </table>
+    <input data-rb-id="currency" value="EUR" />
+    <input data-rb-id="fullTimeYear" value="${fullTime}" />
+    <input data-rb-id="days" value="5" />
+    <button type="button" data-rb-id="copyLink">Copy link</button>
+  </section>`;
+
+// Load a page of containers and wait for app.js's auto-bootstrap
+async function loadPage(sections, query = "") {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("error", (...args) => errors.push(args));
+  const dom = new JSDOM(
+    `<!doctype html><html><body>
+      <table><thead><tr><th>Other</th><th>Part-time notes</th></tr></thead></table>
+      ${sections}
+    </body></html>`,
+    {
+      url: `http://localhost/${query}`,
+      runScripts: "outside-only",
+      virtualConsole,
+    },
+  );
+  SCRIPTS.forEach((file) =>
+    dom.window.eval(
+      fs.readFileSync(path.resolve(__dirname, "../..", file), "utf8"),
+    ),
+  );
+  if (dom.window.document.readyState === "loading")
+    await new Promise((r) =>
+      dom.window.document.addEventListener("DOMContentLoaded", r),
+    );
+  await new Promise((r) => setTimeout(r, 0));
+  return { dom, errors };
+}
+
+const containers = (dom) =>
+  Array.from(dom.window.document.querySelectorAll("[data-raisebuddy]"));
+const tick = () => new Promise((r) => setTimeout(r, 0));
+
+/** Unit tests for several RaiseCalculator instances on one page */
+describe("RaiseCalculator instances in data-raisebuddy containers", () => {
+  test("keeps instances in separate containers independent", async () => {
+    const { dom } = await loadPage(
+      section("current", "50000") + section("promotion", "60000"),
+      "?promotion-highlights=61000",
+    );
+    expect(dom.window.raiseCalculatorInstances).toHaveLength(2);
+
+    const [current, promotion] = containers(dom).map((root) =>
+      root.querySelector('[data-rb-id="results"]'),
+    );
+    expect(current.querySelector("tr").dataset.key).toBe("50000");
+    expect(promotion.querySelector("tr").dataset.key).toBe("60000");
+    expect(promotion.querySelectorAll("tr.table-primary")).toHaveLength(1);
+    expect(current.querySelectorAll("tr.table-primary")).toHaveLength(0);
+    // the part-time column is found in each instance's own table
+    const cells = current.querySelector("tr").children;
+    expect(cells[1].classList.contains("d-none")).toBe(true);
+
+    current.querySelectorAll("tr")[1].click();
+    await tick();
+    const params = new URLSearchParams(dom.window.location.search);
+    expect(params.get("current-highlights")).toBe(
+      current.querySelectorAll("tr")[1].dataset.key,
+    );
+    expect(params.get("promotion-highlights")).toBe("61000");
+    expect(params.has("highlights")).toBe(false);
+    expect(promotion.querySelectorAll("tr.table-primary")).toHaveLength(1);
+  });
+
+  test("adds no repeated ids", async () => {
+    const { dom } = await loadPage(
+      section("current", "50000") + section("promotion", "60000"),
+    );
+    const doc = dom.window.document;
+    expect(doc.querySelectorAll("[id]")).toHaveLength(0);
+    containers(dom).forEach((root) =>
+      expect(
+        root.querySelectorAll('[data-rb-id="resetHighlights"]'),
+      ).toHaveLength(1),
+    );
+  });
+
+  test("keeps every input in URL parameters prefixed with the urlKey", async () => {
+    const { dom } = await loadPage(
+      section("current", "50000") + section("promotion", "50000"),
+      "?promotion-salary=60000&promotion-days-per-week=4&current-salary=abc",
+    );
+    const [current, promotion] = containers(dom);
+    const input = (root, id) => root.querySelector(`[data-rb-id="${id}"]`);
+    expect(input(promotion, "fullTimeYear").value).toBe("60000");
+    expect(input(promotion, "days").value).toBe("4");
+    // invalid values are left out
+    expect(input(current, "fullTimeYear").value).toBe("50000");
+
+    const salary = input(current, "fullTimeYear");
+    salary.value = "55000";
+    salary.dispatchEvent(new dom.window.Event("input", { bubbles: true }));
+    await tick();
+    const params = new URLSearchParams(dom.window.location.search);
+    expect(params.get("current-salary")).toBe("55000");
+    expect(params.get("promotion-salary")).toBe("60000");
+    expect(params.get("promotion-days-per-week")).toBe("4");
+    expect(params.has("salary")).toBe(false);
+    expect(params.has("currency")).toBe(false);
+  });
+
+  test("mounts the other containers when one fails", async () => {
+    const { dom, errors } = await loadPage(
+      section("broken", "50000", { results: false }) +
+        section("promotion", "60000"),
+    );
+    expect(dom.window.raiseCalculatorInstances).toHaveLength(1);
+    expect(
+      containers(dom)[1].querySelector('[data-rb-id="results"] tr').dataset.key,
+    ).toBe("60000");
+    expect(errors.some(([message]) => /"broken"/.test(message))).toBe(true);
+  });
+});
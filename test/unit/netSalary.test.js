@@ -0,0 +1,70 @@
+const path = require("path");
+
+const net = require(path.resolve(__dirname, "../../src/netSalary"));
+const buildRows = require(path.resolve(__dirname, "../../src/buildRows"));
+
+/**
+ * Unit tests for the gross-to-net engine and its bundled rule sets
+ */
+describe("netSalary (unit)", () => {
+  test("applyBrackets taxes each slice at its own rate", () => {
+    const brackets = [
+      { upTo: 10000, rate: 0.1 },
+      { upTo: Infinity, rate: 0.2 },
+    ];
+    expect(net.applyBrackets(5000, brackets)).toBeCloseTo(500);
+    expect(net.applyBrackets(15000, brackets)).toBeCloseTo(2000);
+    expect(net.applyBrackets(0, brackets)).toBe(0);
+  });
+
+  test("computeContribution respects floor and ceiling", () => {
+    const c = { rate: 0.1, floor: 1000, ceiling: 5000 };
+    expect(net.computeContribution(500, c)).toBe(0);
+    expect(net.computeContribution(3000, c)).toBeCloseTo(200);
+    expect(net.computeContribution(9000, c)).toBeCloseTo(400);
+  });
+
+  test("bundled rule sets produce known reference values", () => {
+    expect(net.computeNet(50000, "DE").net).toBeCloseTo(32758);
+    expect(net.computeNet(50000, "gb").net).toBeCloseTo(39519.6);
+    expect(net.computeNet(100000, "US").net).toBeCloseTo(78509);
+    // UK personal allowance is fully tapered away at 150k
+    expect(net.computeNet(150000, "GB").taxable).toBe(150000);
+  });
+
+  test("rule sets use ISO 3166 codes and are found by their aliases", () => {
+    expect(net.listCountries().map((c) => c.code)).toEqual(["DE", "GB", "US"]);
+    expect(net.getCountry("UK").code).toBe("GB");
+    expect(net.computeNet(50000, "uk")).toEqual(net.computeNet(50000, "GB"));
+  });
+
+  test("unknown countries return null and custom rule sets can be registered", () => {
+    expect(net.computeNet(50000, "XX")).toBeNull();
+    net.registerCountry({
+      code: "XX",
+      name: "Flat land",
+      contributions: [{ label: "social", rate: 0.1 }],
+      allowance: 10000,
+      brackets: [{ upTo: Infinity, rate: 0.2 }],
+    });
+    expect(net.computeNet(50000, "XX").net).toBeCloseTo(50000 - 5000 - 8000);
+    expect(net.listCountries().map((c) => c.code)).toContain("XX");
+    expect(() => net.registerCountry({ code: "YY" })).toThrow();
+  });
+});
+
+describe("buildRows net columns", () => {
+  test("rows carry net figures and deltas when a tax country is given", () => {
+    const rows = buildRows({ baseFull: 50000, days: 4, taxCountry: "DE" });
+    expect(rows[0].netYearly).toBeCloseTo(net.computeNet(40000, "DE").net);
+    expect(rows[0].netYearlyDiff).toBe(0);
+    const last = rows[rows.length - 1];
+    expect(last.netYearlyDiff).toBeGreaterThan(0);
+    expect(last.netMonthly).toBeCloseTo(last.netYearly / 12);
+  });
+
+  test("rows stay gross-only without a tax country", () => {
+    const rows = buildRows({ baseFull: 50000, days: 5 });
+    expect(rows[0].netYearly).toBeUndefined();
+  });
+});
@@ -0,0 +1,46 @@
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const root = path.resolve(__dirname, "../..");
+
+/**
+ * The package entry points: CommonJS `require` and the ES module wrapper
+ */
+describe("package entry points", () => {
+  test("require resolves to buildRows with helpers attached", () => {
+    const pkg = require(path.join(root, "package.json"));
+    const cjs = require(path.join(root, pkg.exports["."].require.default));
+    expect(typeof cjs).toBe("function");
+    expect(cjs.buildRows).toBe(cjs);
+    expect(typeof cjs.helpers.normalizeCfg).toBe("function");
+  });
+
+  test("the ES module exposes the same functions", () => {
+    // jest runs CommonJS, so import the wrapper in a separate node process
+    const script =
+      'import buildRows, * as esm from "./src/index.mjs";' +
+      'import { createRequire } from "module";' +
+      'const cjs = createRequire(import.meta.url)("./src/buildRows.js");' +
+      "console.log(JSON.stringify({" +
+      "  sameDefault: buildRows === cjs," +
+      "  names: Object.keys(esm).sort()," +
+      "  helpers: esm.helpers === cjs.helpers," +
+      "}));";
+    const out = execFileSync(
+      process.execPath,
+      ["--input-type=module", "-e", script],
+      { cwd: root, encoding: "utf8" },
+    );
+    expect(JSON.parse(out)).toEqual({
+      sameDefault: true,
+      names: [
+        "buildBackPay",
+        "buildProjection",
+        "buildRows",
+        "default",
+        "helpers",
+      ],
+      helpers: true,
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const path = require("path");
+
+const payBands = require(path.resolve(__dirname, "../../src/payBands"));
+const buildRows = require(path.resolve(__dirname, "../../src/buildRows"));
+
+const FILE = {
+  name: "Engineering",
+  bands: [
+    { grade: "L3", currency: "eur", min: 48000, mid: 54000, max: 60000 },
+    { grade: "L4", currency: "EUR", min: 56000, max: 70000 },
+    { grade: "L3", currency: "USD", min: 52000, mid: 58000, max: 64000 },
+  ],
+};
+
+/**
+ * Unit tests for pay band files and the band position of rows
+ */
+describe("payBands (unit)", () => {
+  test("parseBands normalizes currencies and defaults mid to the midpoint", () => {
+    const file = payBands.parseBands(JSON.stringify(FILE));
+    expect(file.name).toBe("Engineering");
+    expect(payBands.listGrades(file, "EUR")).toEqual(["L3", "L4"]);
+    expect(payBands.findBand(file, "L4", "eur").mid).toBe(63000);
+    expect(payBands.findBand(file, "L4", "USD")).toBeNull();
+    // a bare array is accepted too
+    expect(payBands.parseBands(FILE.bands).bands).toHaveLength(3);
+  });
+
+  test("parseBands rejects malformed files", () => {
+    expect(() => payBands.parseBands("{")).toThrow(/valid JSON/);
+    expect(() => payBands.parseBands({})).toThrow(/bands/);
+    expect(() =>
+      payBands.parseBands([{ grade: "L1", currency: "EUR", min: 9, max: 1 }]),
+    ).toThrow(/L1/);
+  });
+});
+
+describe("buildRows band position", () => {
+  test("rows carry compa-ratio, range penetration and band status", () => {
+    const band = { min: 46000, mid: 48000, max: 49000 };
+    const rows = buildRows({
+      baseFull: 45000,
+      config: { INCREMENT_AMOUNT: 3000 },
+      band,
+    });
+    expect(rows[0].bandStatus).toBe("below");
+    const mid = rows.find((r) => r.fullYearly === 48000);
+    expect(mid.compaRatio).toBe(1);
+    expect(mid.rangePenetration).toBeCloseTo(2 / 3);
+    expect(mid.bandStatus).toBe("within");
+    expect(rows[rows.length - 1].bandStatus).toBe("above");
+    expect(buildRows({ baseFull: 45000 })[0].compaRatio).toBeUndefined();
+  });
+});
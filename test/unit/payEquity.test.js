@@ -0,0 +1,61 @@
+const path = require("path");
+
+const equity = require(path.resolve(__dirname, "../../src/payEquity"));
+
+const person = (name, salary, raisePct, attributes) => ({
+  name,
+  salary,
+  fte: 1,
+  currency: "EUR",
+  raisePct,
+  attributes,
+});
+
+/**
+ * Unit tests for the pay-equity audit
+ */
+describe("payEquity (unit)", () => {
+  const team = [
+    person("Ada", 60000, 5, { grade: "L2", gender: "f" }),
+    person("Bea", 58000, 2, { grade: "L2", gender: "f" }),
+    person("Carl", 64000, 6, { grade: "L2", gender: "m" }),
+    person("Dan", 40000, 3, { grade: "L1", gender: "m" }),
+    person("Eve", 40000, 3, { grade: "L1", gender: "f" }),
+    person("Finn", 45000, 3, { grade: "L1" }),
+  ];
+
+  test("median and mean", () => {
+    expect(equity.median([3, 1, 2])).toBe(2);
+    expect(equity.median([4, 1, 2, 3])).toBe(2.5);
+    expect(equity.mean([1, 2, 3])).toBe(2);
+    expect(equity.listAttributes(team)).toEqual(["gender", "grade"]);
+  });
+
+  test("gaps per grade, before and after the raises", () => {
+    const audit = equity.auditPayEquity(team, { attribute: "gender" });
+    expect(audit.grades.map((g) => g.grade)).toEqual(["L1", "L2"]);
+    expect(audit.excluded).toEqual(["Finn"]);
+
+    const l2 = audit.grades[1];
+    expect(l2.reference).toBe("m");
+    const f = l2.groups.find((g) => g.group === "f");
+    expect(f.count).toBe(2);
+    expect(f.before.median).toBe(59000);
+    expect(f.gap.before.mean).toBeCloseTo(7.8125, 6);
+    expect(f.gap.after.mean).toBeGreaterThan(f.gap.before.mean);
+    expect(f.widened).toBe(true);
+
+    // L1 is equal before and after: no gap, nothing widens
+    expect(audit.grades[0].groups.every((g) => !g.widened)).toBe(true);
+  });
+
+  test("flags the raises that widen a gap", () => {
+    const audit = equity.auditPayEquity(team, { attribute: "gender" });
+    expect(audit.widening.map((w) => w.name).sort()).toEqual([
+      "Ada",
+      "Bea",
+      "Carl",
+    ]);
+    expect(audit.widening.find((w) => w.name === "Carl").index).toBe(2);
+  });
+});
@@ -0,0 +1,142 @@
+const path = require("path");
+const fs = require("fs");
+const { JSDOM } = require("jsdom");
+const buildRows = require(path.resolve(__dirname, "../../src/buildRows"));
+
+// Scripts in the order embed.html loads them
+const SCRIPTS = [
+  "src/shared.js",
+  "src/currencies.js",
+  "src/formatMoney.js",
+  "src/buildRows.js",
+  "js/app.js",
+  "js/raiseBuddyElement.js",
+];
+
+function loadPage(body) {
+  const dom = new JSDOM(`<!doctype html><html><body>${body}</body></html>`, {
+    url: "http://localhost/embed.html?keep=1",
+    runScripts: "outside-only",
+  });
+  SCRIPTS.forEach((file) =>
+    dom.window.eval(
+      fs.readFileSync(path.resolve(__dirname, "../..", file), "utf8"),
+    ),
+  );
+  return dom;
+}
+
+const tick = () => new Promise((r) => setTimeout(r, 0));
+
+/** Unit tests for the <raise-buddy> custom element */
+describe("<raise-buddy>", () => {
+  test("renders into its shadow root from the attributes", () => {
+    const dom = loadPage(
+      '<raise-buddy salary="60000" days="4" currency="usd"></raise-buddy>',
+    );
+    const el = dom.window.document.querySelector("raise-buddy");
+    const root = el.shadowRoot;
+    const rows = root.querySelectorAll("#results tr");
+
+    expect(el.calculator).toBeTruthy();
+    expect(rows.length).toBeGreaterThan(1);
+    expect(rows[0].dataset.key).toBe("60000");
+    expect(root.getElementById("currency").value).toBe("USD");
+    expect(el.rows[0].partYearly).toBeCloseTo(48000, 2);
+    // nothing leaks into the host page
+    expect(dom.window.document.getElementById("results")).toBeNull();
+  });
+
+  test("re-renders when an attribute changes and fires raisebuddy:render", () => {
+    const dom = loadPage('<raise-buddy salary="50000"></raise-buddy>');
+    const el = dom.window.document.querySelector("raise-buddy");
+    const seen = [];
+    dom.window.document.addEventListener("raisebuddy:render", (ev) =>
+      seen.push(ev.detail),
+    );
+
+    el.setAttribute("salary", "70000");
+
+    expect(seen).toHaveLength(1);
+    expect(seen[0].rows[0].fullYearly).toBe(70000);
+    expect(seen[0].currency).toBe("EUR");
+    expect(el.shadowRoot.querySelector("#results tr").dataset.key).toBe(
+      "70000",
+    );
+  });
+
+  test("applies the config attribute", () => {
+    const dom = loadPage(
+      `<raise-buddy salary="50000" config='{"INCREMENT_STEPS": 2, "PERCENT_STEPS": 0}'></raise-buddy>`,
+    );
+    const el = dom.window.document.querySelector("raise-buddy");
+    const expected = buildRows({
+      baseFull: 50000,
+      currency: "EUR",
+      config: { INCREMENT_STEPS: 2, PERCENT_STEPS: 0 },
+    });
+    expect(el.rows.map((r) => r.fullYearly)).toEqual(
+      expected.map((r) => r.fullYearly),
+    );
+  });
+
+  test("keeps the typed values when the config changes", () => {
+    const dom = loadPage('<raise-buddy salary="50000"></raise-buddy>');
+    const el = dom.window.document.querySelector("raise-buddy");
+    const root = () => el.shadowRoot;
+    root().getElementById("fullTimeYear").value = "65000";
+    root().getElementById("days").value = "4";
+    root().getElementById("currency").value = "USD";
+
+    el.setAttribute("config", '{"PERCENT_STEPS": 2}');
+
+    expect(root().getElementById("fullTimeYear").value).toBe("65000");
+    expect(root().getElementById("days").value).toBe("4");
+    expect(root().getElementById("currency").value).toBe("USD");
+    expect(el.rows[0].partYearly).toBeCloseTo(52000, 2);
+  });
+
+  test("adds a currency attribute missing from the list", () => {
+    const dom = loadPage('<raise-buddy salary="50000"></raise-buddy>');
+    const el = dom.window.document.querySelector("raise-buddy");
+    const seen = [];
+    el.addEventListener("raisebuddy:render", (ev) =>
+      seen.push(ev.detail.currency),
+    );
+
+    el.setAttribute("currency", "xts");
+
+    expect(el.shadowRoot.getElementById("currency").value).toBe("XTS");
+    expect(seen).toEqual(["XTS"]);
+  });
+
+  test("highlights rows without touching the host URL", async () => {
+    const dom = loadPage(
+      '<raise-buddy id="a" salary="50000"></raise-buddy><raise-buddy id="b" salary="50000"></raise-buddy>',
+    );
+    const doc = dom.window.document;
+    const a = doc.getElementById("a");
+    const b = doc.getElementById("b");
+    const highlights = [];
+    doc.addEventListener("raisebuddy:highlight", (ev) =>
+      highlights.push([ev.target.id, ev.detail.keys]),
+    );
+
+    const row = a.shadowRoot.querySelectorAll("#results tr")[1];
+    row.dispatchEvent(new dom.window.MouseEvent("click", { bubbles: true }));
+    await tick();
+
+    expect(row.classList.contains("table-primary")).toBe(true);
+    expect(highlights).toEqual([["a", [row.dataset.key]]]);
+    expect(
+      b.shadowRoot.querySelectorAll("#results tr.table-primary"),
+    ).toHaveLength(0);
+    expect(dom.window.location.search).toBe("?keep=1");
+
+    a.shadowRoot.getElementById("resetHighlights").click();
+    expect(highlights[1]).toEqual(["a", []]);
+    expect(
+      a.shadowRoot.querySelectorAll("#results tr.table-primary"),
+    ).toHaveLength(0);
+  });
+});
@@ -0,0 +1,151 @@
+const path = require("path");
+
+const api = require(path.resolve(__dirname, "../../src/server"));
+
+// Request the API; resolves to { status, body } with the parsed JSON body
+function request(server, pathname, { method = "GET", body } = {}) {
+  const { port } = server.address();
+  return fetch(`http://127.0.0.1:${port}${pathname}`, {
+    method,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  }).then(async (res) => ({ status: res.status, body: await res.json() }));
+}
+
+/**
+ * Tests for the local HTTP JSON API
+ */
+describe("server (HTTP API)", () => {
+  let server;
+  beforeAll(
+    () =>
+      new Promise((resolve) => {
+        server = api.createServer().listen(0, "127.0.0.1", resolve);
+      }),
+  );
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  test("GET /rows returns rows matching the row schema", async () => {
+    const { status, body } = await request(
+      server,
+      "/rows?salary=50000&days=4&currency=EUR&rates=1&tax=DE&bonus-pct=10" +
+        "&effective-date=2025-07-01&employer=DE&merit-min=2&merit-max=3" +
+        "&target-type=yearly&target=52222",
+    );
+    expect(status).toBe(200);
+    expect(body.rows[0]).toMatchObject({
+      source: "BASE",
+      fullYearly: 50000,
+      partYearly: 40000,
+    });
+    expect(body.rows.some((r) => r.source === "GOAL")).toBe(true);
+
+    const { properties, required } = api.ROW_SCHEMA;
+    body.rows.forEach((row) => {
+      required.forEach((key) => expect(row).toHaveProperty(key));
+      Object.keys(row).forEach((key) => expect(properties).toHaveProperty(key));
+      expect(properties.source.enum).toContain(row.source);
+    });
+  });
+
+  test("invalid parameters give a structured 400", async () => {
+    const { status, body } = await request(
+      server,
+      "/rows?salary=-1&days=7&currency=XXX",
+    );
+    expect(status).toBe(400);
+    expect(body.error.code).toBe("invalid_params");
+    expect(body.error.details.map((d) => d.param)).toEqual([
+      "salary",
+      "currency",
+      "days",
+    ]);
+  });
+
+  test("takes the ISO code GB, and UK as its alias, for the tax country", async () => {
+    const gb = await request(server, "/rows?salary=50000&tax=GB");
+    const uk = await request(server, "/rows?salary=50000&tax=uk");
+    expect(gb.status).toBe(200);
+    expect(uk.body.rows).toEqual(gb.body.rows);
+    expect(gb.body.rows[0].netYearly).toBeCloseTo(39519.6);
+  });
+
+  test("takes the ISO code GB, and UK as its alias, for the employer preset", async () => {
+    const gb = await request(server, "/rows?salary=50000&employer=GB");
+    const uk = await request(server, "/rows?salary=50000&employer=UK");
+    expect(gb.status).toBe(200);
+    expect(uk.body.rows).toEqual(gb.body.rows);
+  });
+
+  test("reads hours against a 40-hour week unless full-time-hours is given", async () => {
+    const part = async (query) =>
+      (await request(server, `/rows?salary=50000&${query}`)).body.rows[0]
+        .partYearly;
+    expect(await part("hours=32")).toBe(40000);
+    expect(await part("hours=30&full-time-hours=37.5")).toBe(40000);
+    expect((await request(server, "/rows?salary=50000&hours=41")).status).toBe(
+      400,
+    );
+  });
+
+  test("projection, helpers and unknown routes", async () => {
+    const projection = await request(
+      server,
+      "/projection?salary=50000&projection-pct=3&projection-years=2",
+    );
+    expect(projection.body.projection).toHaveLength(3);
+
+    const list = await request(server, "/helpers");
+    expect(list.body.helpers).toContain("defaultIncrementFor");
+    const helper = await request(server, "/helpers/defaultIncrementFor", {
+      method: "POST",
+      body: { args: ["JPY"] },
+    });
+    expect(helper.body).toEqual({ result: 50000 });
+
+    expect((await request(server, "/helpers/defaultIncrementFor")).status).toBe(
+      405,
+    );
+    expect(
+      (await request(server, "/helpers/nope", { method: "POST" })).body.error
+        .code,
+    ).toBe("unknown_helper");
+    expect((await request(server, "/nowhere")).status).toBe(404);
+  });
+
+  test("refuses oversized salaries and ladders", async () => {
+    const params = async (query) =>
+      (await request(server, `/rows?${query}`)).body.error.details;
+    expect(await params("salary=1000000000000")).toEqual([
+      {
+        param: "salary",
+        message: "must be a positive whole number up to 100000000000",
+      },
+    ]);
+    expect(await params("salary=100000000")).toEqual([
+      {
+        param: "salary",
+        message: "gives more than 5000 rows; use a larger increment",
+      },
+    ]);
+    expect((await params("salary=50000&increment=1"))[0].param).toBe(
+      "increment",
+    );
+    expect(
+      (await request(server, "/rows?salary=100000000&increment=100000")).status,
+    ).toBe(200);
+  });
+
+  test("does not expose buildCandidates as a helper", async () => {
+    expect((await request(server, "/helpers")).body.helpers).not.toContain(
+      "buildCandidates",
+    );
+    const { status, body } = await request(server, "/helpers/buildCandidates", {
+      method: "POST",
+      body: {
+        args: [{ baseFullNum: 50000, cfg: { INCREMENT_AMOUNT: 0.0001 } }],
+      },
+    });
+    expect(status).toBe(404);
+    expect(body.error.code).toBe("unknown_helper");
+  });
+});
@@ -0,0 +1,164 @@
+const path = require("path");
+const fs = require("fs");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.resolve(__dirname, "../..");
+
+// Scripts in the order team.html loads them
+const SCRIPTS = [
+  "src/shared.js",
+  "src/currencies.js",
+  "src/formatMoney.js",
+  "src/exchangeRates.js",
+  "src/csv.js",
+  "src/teamBudget.js",
+  "src/payEquity.js",
+  "src/buildRows.js",
+  "js/team.js",
+];
+
+// Load team.html with an optional saved state and wait for the auto-bootstrap
+async function loadTeamPage(saved) {
+  const dom = new JSDOM(fs.readFileSync(path.join(ROOT, "team.html"), "utf8"), {
+    url: "http://localhost/team.html",
+    runScripts: "outside-only",
+    // keeps jsdom's "navigation not implemented" (export link) out of the output
+    virtualConsole: new VirtualConsole(),
+  });
+  if (saved)
+    dom.window.localStorage.setItem("raisebuddy.team", JSON.stringify(saved));
+  SCRIPTS.forEach((file) =>
+    dom.window.eval(fs.readFileSync(path.join(ROOT, file), "utf8")),
+  );
+  if (dom.window.document.readyState === "loading")
+    await new Promise((r) =>
+      dom.window.document.addEventListener("DOMContentLoaded", r),
+    );
+  await new Promise((r) => setTimeout(r, 0));
+  return dom;
+}
+
+const TEAM = {
+  employees: [
+    { name: "Ada", salary: 60000, fte: 1, currency: "EUR", raisePct: 3 },
+    { name: "Bo", salary: 40000, fte: 0.5, currency: "EUR", raisePct: 0 },
+  ],
+  budgetType: "amount",
+  budgetValue: "3000",
+  currency: "EUR",
+};
+
+const fire = (dom, el, type) =>
+  el.dispatchEvent(new dom.window.Event(type, { bubbles: true }));
+const field = (dom, index, name) =>
+  dom.window.document.querySelector(
+    `#team tr[data-index="${index}"] [data-field="${name}"]`,
+  );
+const saved = (dom) =>
+  JSON.parse(dom.window.localStorage.getItem("raisebuddy.team"));
+
+/** Unit tests for the team budget page (js/team.js) */
+describe("team page", () => {
+  test("restores the saved team and budget", async () => {
+    const dom = await loadTeamPage(TEAM);
+    const doc = dom.window.document;
+    expect(doc.querySelectorAll("#team tr")).toHaveLength(2);
+    expect(field(dom, 0, "name").value).toBe("Ada");
+    expect(doc.getElementById("budgetValue").value).toBe("3000");
+    expect(doc.getElementById("teamSummary").textContent).toMatch(
+      /used €1,800/,
+    );
+  });
+
+  test("edits salaries and raises in the table and saves them", async () => {
+    const dom = await loadTeamPage(TEAM);
+    const salary = field(dom, 1, "salary");
+    salary.value = "50000";
+    fire(dom, salary, "input");
+    const raise = field(dom, 1, "raisePct");
+    raise.value = "4";
+    fire(dom, raise, "input");
+
+    expect(saved(dom).employees[1]).toMatchObject({
+      salary: 50000,
+      raisePct: 4,
+    });
+    // 60000 × 3% + 50000 × 0.5 × 4%
+    expect(
+      dom.window.document.getElementById("teamSummary").textContent,
+    ).toMatch(/used €2,800/);
+  });
+
+  test("keeps the last salary when the field is emptied", async () => {
+    const dom = await loadTeamPage(TEAM);
+    const salary = field(dom, 0, "salary");
+    salary.value = "";
+    fire(dom, salary, "input");
+
+    expect(salary.classList.contains("is-invalid")).toBe(true);
+    expect(saved(dom).employees[0].salary).toBe(60000);
+
+    salary.value = "61000";
+    fire(dom, salary, "input");
+    expect(salary.classList.contains("is-invalid")).toBe(false);
+    expect(saved(dom).employees[0].salary).toBe(61000);
+  });
+
+  test("picking a ladder row sets the raise %", async () => {
+    const dom = await loadTeamPage(TEAM);
+    const ladder = field(dom, 1, "ladder");
+    const option = ladder.options[2];
+    ladder.value = option.value;
+    fire(dom, ladder, "change");
+
+    expect(Number(field(dom, 1, "raisePct").value)).toBeCloseTo(
+      Number(option.value),
+      2,
+    );
+    expect(saved(dom).employees[1].raisePct).toBe(Number(option.value));
+  });
+
+  test("imports a CSV file", async () => {
+    const dom = await loadTeamPage();
+    const doc = dom.window.document;
+    const input = doc.getElementById("teamCsv");
+    Object.defineProperty(input, "files", {
+      value: [
+        new dom.window.File(
+          ["name,salary,fte,grade\nCy,45000,0.8,L1\nDee,52000,,L2\n"],
+          "team.csv",
+        ),
+      ],
+    });
+    fire(dom, input, "change");
+    await new Promise((r) => setTimeout(r, 50));
+
+    expect(doc.getElementById("teamInfo").textContent).toBe(
+      "2 employees imported",
+    );
+    expect(field(dom, 0, "fte").value).toBe("0.8");
+    expect(saved(dom).employees.map((e) => e.name)).toEqual(["Cy", "Dee"]);
+  });
+
+  test("exports the allocation as CSV", async () => {
+    const dom = await loadTeamPage(TEAM);
+    let blob = null;
+    dom.window.URL.createObjectURL = (b) => {
+      blob = b;
+      return "blob:team";
+    };
+    dom.window.URL.revokeObjectURL = () => {};
+    dom.window.document.getElementById("exportTeam").click();
+
+    const text = await new Promise((resolve) => {
+      const reader = new dom.window.FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(text.trim().split(/\r?\n/)).toEqual([
+      "name,salary,fte,currency,raise,cost,new salary",
+      "Ada,60000,1,EUR,3,1800,61800",
+      "Bo,40000,0.5,EUR,0,0,40000",
+    ]);
+  });
+});
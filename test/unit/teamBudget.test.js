@@ -0,0 +1,87 @@
+const path = require("path");
+
+const team = require(path.resolve(__dirname, "../../src/teamBudget"));
+const csv = require(path.resolve(__dirname, "../../src/csv"));
+
+/**
+ * Unit tests for team CSV import and merit-budget allocation
+ */
+describe("csv (unit)", () => {
+  test("parses quoted fields and detects semicolons", () => {
+    expect(csv.parseCsv('a,"b, c"\n\n"say ""hi""",2\n')).toEqual([
+      ["a", "b, c"],
+      ['say "hi"', "2"],
+    ]);
+    expect(csv.parseCsvObjects("name;salary\r\nAda;50000")).toEqual([
+      { name: "Ada", salary: "50000" },
+    ]);
+    expect(csv.toCsv([["a,b", 1]])).toBe('"a,b",1\n');
+  });
+});
+
+describe("teamBudget (unit)", () => {
+  test("parseTeamCsv normalizes employees and reports bad lines", () => {
+    const employees = team.parseTeamCsv(
+      "Name,Salary,FTE,Currency,Raise,Grade\nAda,60000,,,3,L2\nBob,40000,0.5,usd,,L1\n",
+    );
+    expect(employees).toEqual([
+      {
+        name: "Ada",
+        salary: 60000,
+        fte: 1,
+        currency: "EUR",
+        raisePct: 3,
+        attributes: { grade: "L2" },
+      },
+      {
+        name: "Bob",
+        salary: 40000,
+        fte: 0.5,
+        currency: "USD",
+        raisePct: 0,
+        attributes: { grade: "L1" },
+      },
+    ]);
+    expect(() => team.parseTeamCsv("name,salary,fte\nEve,50000,2")).toThrow(
+      "Line 2: Eve: FTE must be between 0 and 1",
+    );
+    expect(() => team.parseTeamCsv("name,salary\nEve,")).toThrow(
+      "Line 2: Eve: salary must be a number",
+    );
+  });
+
+  test("allocateBudget sums raise costs against an amount or % budget", () => {
+    const employees = [
+      { name: "Ada", salary: 60000, fte: 1, currency: "EUR", raisePct: 3 },
+      { name: "Bob", salary: 40000, fte: 0.5, currency: "EUR", raisePct: 5 },
+    ];
+    const byAmount = team.allocateBudget(employees, { budgetValue: 3000 });
+    expect(byAmount.payroll).toBe(80000);
+    expect(byAmount.used).toBe(2800);
+    expect(byAmount.remaining).toBe(200);
+    expect(byAmount.over).toBe(false);
+    expect(byAmount.employees[1].newSalary).toBe(42000);
+
+    const byPercent = team.allocateBudget(employees, {
+      budgetType: "percent",
+      budgetValue: 3,
+    });
+    expect(byPercent.budget).toBe(2400);
+    expect(byPercent.over).toBe(true);
+  });
+
+  test("allocateBudget converts currencies and lists missing rates", () => {
+    const rateTable = { base: "EUR", rates: { EUR: 1, USD: 2 } };
+    const result = team.allocateBudget(
+      [
+        { name: "Ada", salary: 10000, fte: 1, currency: "USD", raisePct: 10 },
+        { name: "Kai", salary: 10000, fte: 1, currency: "JPY", raisePct: 10 },
+      ],
+      { rateTable, budgetValue: 1000 },
+    );
+    expect(result.employees[0].converted).toBe(500);
+    expect(result.employees[1].converted).toBeNull();
+    expect(result.used).toBe(500);
+    expect(result.missingRates).toEqual(["JPY"]);
+  });
+});
@@ -0,0 +1,6 @@
+/**
+ * ES module typings for src/index.mjs: named exports plus buildRows as the
+ * default export.
+ */
+export * from "./logic.js";
+export { buildRows as default } from "./logic.js";
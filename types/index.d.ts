@@ -0,0 +1,39 @@
+/**
+ * CommonJS typings: `require("raisebuddy")` is the buildRows function, with
+ * buildProjection, buildBackPay and helpers attached (see src/buildRows.js).
+ */
+import * as logic from "./logic";
+
+declare function buildRows(opts?: logic.BuildRowsOptions): logic.Row[];
+
+declare namespace buildRows {
+  export type RowSource = logic.RowSource;
+  export type HighlightedCell = logic.HighlightedCell;
+  export type TargetType = logic.TargetType;
+  export type Config = logic.Config;
+  export type NormalizedConfig = logic.NormalizedConfig;
+  export type Target = logic.Target;
+  export type Compensation = logic.Compensation;
+  export type Band = logic.Band;
+  export type MeritRange = logic.MeritRange;
+  export type EmployerCostPreset = logic.EmployerCostPreset;
+  export type NetEngine = logic.NetEngine;
+  export type EmployerCostEngine = logic.EmployerCostEngine;
+  export type PartTimeInput = logic.PartTimeInput;
+  export type BuildRowsOptions = logic.BuildRowsOptions;
+  export type Candidate = logic.Candidate;
+  export type Row = logic.Row;
+  export type BaseValues = logic.BaseValues;
+  export type ProjectionOptions = logic.ProjectionOptions;
+  export type ProjectionRow = logic.ProjectionRow;
+  export type BackPayOptions = logic.BackPayOptions;
+  export type BackPay = logic.BackPay;
+  export type Helpers = logic.Helpers;
+
+  export const buildRows: typeof logic.buildRows;
+  export const buildProjection: typeof logic.buildProjection;
+  export const buildBackPay: typeof logic.buildBackPay;
+  export const helpers: logic.Helpers;
+}
+
+export = buildRows;
@@ -0,0 +1,316 @@
+/**
+ * Type declarations for the raise-ladder logic in src/buildRows.js.
+ *
+ * Shared by the CommonJS (types/index.d.ts) and ES module (types/index.d.mts)
+ * entry points; keep them in sync with the doc comments in src/buildRows.js.
+ */
+
+/** How a row was generated (see buildCandidates and buildTargetCandidate). */
+export type RowSource = "BASE" | "FT" | "PT" | "PCT" | "GOAL";
+
+/** Row values that can be highlighted as round numbers or goal-seek results. */
+export type HighlightedCell =
+  "fullYearly" | "partYearly" | "raisePct" | "monthly" | "monthlyDiff";
+
+/** Goal-seek target types (see solveTargetFull). */
+export type TargetType = "yearly" | "partYearly" | "monthly" | "monthlyDiff";
+
+/** Ladder configuration; every key is optional (see normalizeCfg). */
+export interface Config {
+  /** Ladder increment; defaults to the currency's (see defaultIncrementFor). */
+  INCREMENT_AMOUNT?: number;
+  /** Number of increment rows, default 10. */
+  INCREMENT_STEPS?: number;
+  /** Percentage step as a fraction, default 0.005 (0.5%). */
+  PERCENT_STEP?: number;
+  /** Number of percentage rows, default 20. */
+  PERCENT_STEPS?: number;
+  /** Salary payments per year (12, 13, 14, ...), default 12. */
+  PAYMENTS_PER_YEAR?: number;
+  /** Add hourly and daily rates to the rows, default false. */
+  INCLUDE_RATES?: boolean;
+  /** Full-time hours per week for the hourly rate, default 40. */
+  HOURS_PER_WEEK?: number;
+  /** Paid weeks per year for the rates, default 52. */
+  PAID_WEEKS_PER_YEAR?: number;
+  /** Proration of a mid-year raise, default "month". */
+  PRORATION?: "month" | "day";
+}
+
+/** Config with every default filled in (result of normalizeCfg). */
+export type NormalizedConfig = Required<Config>;
+
+/** Goal-seek target (see buildTargetCandidate). */
+export interface Target {
+  type: TargetType;
+  value: number;
+}
+
+/** Bonus and allowances on top of the base salary (see attachCompensation). */
+export interface Compensation {
+  /** Target bonus in % of today's full-time base. */
+  bonusPct?: number;
+  /** Fixed full-time target bonus. */
+  bonusAmount?: number;
+  /** Fixed yearly allowances, not prorated. */
+  allowances?: number;
+  raiseAppliesTo?: "base" | "baseAndBonus";
+}
+
+/** Pay band as full-time yearly amounts (see attachBandPosition). */
+export interface Band {
+  min: number;
+  mid: number;
+  max: number;
+}
+
+/** Recommended merit range in percent (see attachMeritTags). */
+export interface MeritRange {
+  min: number;
+  max: number;
+}
+
+/** Employer on-cost preset (see src/employerCost.js). */
+export interface EmployerCostPreset {
+  code: string;
+  name: string;
+  year?: number;
+  contributions: Array<{
+    label: string;
+    rate: number;
+    floor?: number;
+    ceiling?: number;
+  }>;
+}
+
+/** Gross-to-net engine (src/netSalary.js). */
+export interface NetEngine {
+  computeNet(grossYearly: number, code: string): { net: number } | null;
+}
+
+/** Employer cost engine (src/employerCost.js). */
+export interface EmployerCostEngine {
+  computeEmployerCost(
+    grossYearly: number,
+    preset: string | EmployerCostPreset,
+  ): { gross: number; onCosts: number; total: number } | null;
+}
+
+/** Part-time inputs (see resolvePartRatio). */
+export interface PartTimeInput {
+  /** Working days per 5-day week, default 5. */
+  days?: number;
+  /** Part-time ratio; takes precedence over hours and days. */
+  fte?: number | null;
+  /** Contractual hours per week, with fullTimeHours. */
+  hours?: number | null;
+  fullTimeHours?: number | null;
+}
+
+/** Options of buildRows. */
+export interface BuildRowsOptions extends PartTimeInput {
+  /** Current full-time yearly salary. */
+  baseFull?: number;
+  config?: Config;
+  /** ISO 4217 code; only picks the default increment. */
+  currency?: string | null;
+  /** Registered tax country for net figures (e.g. "DE"). */
+  taxCountry?: string | null;
+  netEngine?: NetEngine | null;
+  target?: Target | null;
+  /** "YYYY-MM-DD" date a mid-year raise starts. */
+  effectiveDate?: string | Date | null;
+  /** Start of the 12-month payout window, default today. */
+  asOf?: string | Date | null;
+  employerCost?: string | EmployerCostPreset | null;
+  employerCostEngine?: EmployerCostEngine | null;
+  compensation?: Compensation | null;
+  band?: Band | null;
+  merit?: MeritRange | null;
+}
+
+/** Candidate row before dedupe (see buildCandidates). */
+export interface Candidate {
+  source: RowSource;
+  label: string;
+  fullYearly: number;
+  partYearly: number;
+  monthly: number;
+  raisePct: number;
+  monthlyDiff: number;
+  yearlyDiff: number;
+  /** Goal-seek rows only: the value the target was solved for. */
+  targetField?: HighlightedCell;
+}
+
+/**
+ * One row of the raise ladder (see finalizeRows); the optional groups appear
+ * with the matching buildRows option. schema/row.schema.json describes the
+ * same shape.
+ */
+export interface Row {
+  source: RowSource;
+  label: string;
+  fullYearly: number;
+  partYearly: number;
+  monthly: number;
+  raisePct: number;
+  monthlyDiff: number;
+  yearlyDiff: number;
+  /** Yearly total of the payments beyond 12 (13th/14th salary). */
+  extraPayments: number;
+  highlightedCells: HighlightedCell[];
+  /** target: base row only, when today's salary already reaches the target */
+  reachesTarget?: boolean;
+  /** config.INCLUDE_RATES */
+  hourlyRate?: number;
+  dailyRate?: number;
+  /** taxCountry */
+  netYearly?: number;
+  netMonthly?: number;
+  netYearlyDiff?: number;
+  netMonthlyDiff?: number;
+  /** compensation */
+  bonusYearly?: number;
+  allowancesYearly?: number;
+  totalComp?: number;
+  totalCompFull?: number;
+  totalCompDiff?: number;
+  /** band */
+  compaRatio?: number;
+  rangePenetration?: number;
+  bandStatus?: "below" | "within" | "above";
+  /** merit */
+  meritTag?: "below" | "within" | "above";
+  /** effectiveDate */
+  paidThisYear?: number;
+  paidFirst12Months?: number;
+  /** employerCost */
+  employerCostYearly?: number;
+  employerCostDelta?: number;
+}
+
+/** Result of computeBaseValues. */
+export interface BaseValues {
+  baseFullNum: number;
+  partRatio: number;
+  basePart: number;
+  baseMonthly: number;
+}
+
+/** Options of buildProjection. */
+export interface ProjectionOptions extends PartTimeInput {
+  baseFull?: number;
+  config?: Config;
+  currency?: string | null;
+  /** Raise per year in percent. */
+  raisePct?: number;
+  years?: number;
+}
+
+/** One year of buildProjection. */
+export interface ProjectionRow {
+  year: number;
+  raisePct: number;
+  fullYearly: number;
+  partYearly: number;
+  monthly: number;
+  yearlyDiff: number;
+  cumulativeExtra: number;
+}
+
+/** Options of buildBackPay. */
+export interface BackPayOptions {
+  /** "YYYY-MM-DD" the raise applies from. */
+  effectiveDate: string;
+  /** "YYYY-MM-DD" of the first salary paid with the raise. */
+  paymentDate: string;
+  config?: Config;
+}
+
+/** Result of buildBackPay. */
+export interface BackPay {
+  months: Array<{
+    month: string;
+    fraction: number;
+    fullTime: number;
+    partTime: number;
+  }>;
+  totalFullTime: number;
+  totalPartTime: number;
+}
+
+export declare function buildRows(opts?: BuildRowsOptions): Row[];
+export declare function buildProjection(
+  opts?: ProjectionOptions,
+): ProjectionRow[];
+export declare function buildBackPay(
+  row: Row,
+  opts?: Partial<BackPayOptions>,
+): BackPay;
+
+/** The helpers exposed as `buildRows.helpers`. */
+export interface Helpers {
+  normalizeCfg(cfg?: Config, currency?: string | null): NormalizedConfig;
+  defaultIncrementFor(currency?: string | null): number;
+  paymentsPerYear(cfg?: Config): number;
+  resolvePartRatio(input?: PartTimeInput): number;
+  computeBaseValues(
+    baseFull: number,
+    days: number,
+    payments?: number,
+    fte?: number,
+  ): BaseValues;
+  roundUpToIncrement(value: number, increment: number): number;
+  buildCandidates(params: BaseValues & { cfg: NormalizedConfig }): Candidate[];
+  solveTargetFull(
+    target: Target,
+    params: { partRatio: number; baseMonthly: number; payments: number },
+  ): number | null;
+  buildTargetCandidate(params: {
+    target: Target;
+    baseFullNum: number;
+    partRatio: number;
+    baseMonthly: number;
+    cfg: Config;
+  }): Candidate | null;
+  dedupeCandidatesByRoundedFull(
+    candidates: Candidate[],
+    priority?: Partial<Record<RowSource, number>>,
+  ): Map<number, Candidate>;
+  computeHighlightedCells(rep: Candidate, cfg: Config): HighlightedCell[];
+  finalizeRows(
+    rowsMap: Map<number, Candidate>,
+    baseVals: BaseValues,
+    cfg: Config,
+  ): Row[];
+  attachNetValues(
+    rows: Row[],
+    taxCountry: string,
+    engine: NetEngine | null,
+    payments?: number,
+  ): Row[];
+  attachRates(rows: Row[], cfg: Config): Row[];
+  attachEmployerCost(
+    rows: Row[],
+    preset: string | EmployerCostPreset,
+    engine: EmployerCostEngine | null,
+  ): Row[];
+  attachCompensation(
+    rows: Row[],
+    compensation: Compensation,
+    baseVals: BaseValues,
+  ): Row[];
+  attachBandPosition(rows: Row[], band: Band): Row[];
+  attachMeritTags(rows: Row[], merit: MeritRange): Row[];
+  parseDate(value: string | Date): Date | null;
+  yearFraction(start: Date, end: Date, mode?: "month" | "day"): number;
+  attachPayouts(
+    rows: Row[],
+    effectiveDate: string | Date,
+    cfg: Config,
+    asOf?: string | Date,
+  ): Row[];
+}
+
+export declare const helpers: Helpers;